@@ -0,0 +1,64 @@
+// Shared admin authentication for internal endpoints.
+//
+// Accepts either:
+//   Authorization: Bearer <ADMIN_SECRET>                 (scripts/CLI)
+//   Authorization: Bearer <DISCORD_OAUTH_ACCESS_TOKEN>   (admin role in DISCORD_GUILD_ID)
+//   Authorization: Bearer <CRON_SECRET>                  (Vercel cron jobs; actor.type === 'cron')
+//
+// The cron token is only accepted where the caller opts in with { allowCron: true }
+// (scheduled jobs); everywhere else it is treated like any other unknown token.
+
+const { verifyDiscordAdmin } = require('./_discord-auth');
+
+function getBearerToken(req) {
+    const auth = req.headers.authorization || '';
+    if (!auth.toLowerCase().startsWith('bearer ')) return '';
+    return auth.slice(7).trim();
+}
+
+// Resolves the admin identity for the request, or null if unauthorized.
+async function getAdminActor(req, { allowCron = false } = {}) {
+    const received = getBearerToken(req);
+    if (!received) return null;
+
+    // Option 1: Static admin secret (for scripts/CLI)
+    const expected = String(process.env.ADMIN_SECRET || '').trim();
+    if (expected && received === expected) return { type: 'admin_secret', id: 'admin_secret', name: 'admin_secret' };
+
+    // Vercel sends CRON_SECRET as a bearer token on scheduled invocations
+    const cronSecret = String(process.env.CRON_SECRET || '').trim();
+    if (cronSecret && received === cronSecret) {
+        return allowCron ? { type: 'cron', id: 'cron', name: 'cron' } : null;
+    }
+
+    // Option 2: Discord OAuth token verified as admin
+    try {
+        const result = await verifyDiscordAdmin(received);
+        if (result.ok) {
+            return {
+                type: 'discord',
+                id: result.user?.id || '',
+                name: result.user?.username || result.user?.id || 'discord_admin',
+            };
+        }
+    } catch (_) {
+        // Discord verification unavailable; fall through
+    }
+
+    return null;
+}
+
+async function requireAdmin(req, res, options = {}) {
+    const actor = await getAdminActor(req, options);
+    if (!actor) {
+        res.status(401).json({ success: false, error: 'Unauthorized' });
+        return null;
+    }
+    return actor;
+}
+
+module.exports = {
+    getBearerToken,
+    getAdminActor,
+    requireAdmin,
+};
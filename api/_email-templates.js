@@ -0,0 +1,312 @@
+// Named transactional email templates with shared Nexus branding.
+//
+// renderEmail(name, vars) returns { subject, html, text }. Every template gets
+// the same layout and an auto-generated text/plain part, so copy changes only
+// touch the template definitions below. Each template declares the variables it
+// requires and sample values used by the admin preview endpoint
+// (/api/email-preview).
+
+const BRAND = {
+  productName: 'Nexus',
+  companyName: 'Hyperfect LLC',
+  siteUrl: 'https://hyperfect.dev',
+  dashboardUrl: 'https://www.hyperfect.dev/license-dashboard',
+  discordUrl: 'https://discord.gg/Ynvcw6Dts4',
+  supportEmail: 'Hyperfectllc@gmail.com',
+  colors: {
+    background: '#0f0f1a',
+    panel: '#1a1a2e',
+    panelAlt: '#141428',
+    border: '#2a2a40',
+    heading: '#ffffff',
+    body: '#d4d4d8',
+    muted: '#a1a1aa',
+    faint: '#71717a',
+    accent: '#3b82f6',
+    button: '#2563eb',
+    discord: '#5865F2',
+    code: '#1e2a4a',
+  },
+};
+
+const FONT_STACK = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const MONO_STACK = "'SF Mono', 'Fira Code', Consolas, monospace";
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(iso) {
+  const ts = Date.parse(iso || '');
+  if (Number.isNaN(ts)) return '';
+  return new Date(ts).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+function maskKey(key) {
+  return key ? `${key.slice(0, 10)}-****-${key.slice(-4)}` : 'your license';
+}
+
+function describePlan(plan, expiresAt = '') {
+  const expiresLabel = expiresAt && formatDate(expiresAt) ? ` (expires ${formatDate(expiresAt)})` : '';
+  if (plan === 'subscription') return 'Subscription';
+  if (plan === 'trial') return `Free Trial${expiresLabel}`;
+  if (plan === 'annual') return `Annual${expiresLabel}`;
+  return 'Beta Access';
+}
+
+// ──── Building blocks (all inputs are escaped by the caller or here) ────
+
+function paragraph(html, { muted = false, small = false } = {}) {
+  const color = muted ? BRAND.colors.muted : BRAND.colors.body;
+  const size = small ? 13 : 15;
+  return `<p style="color: ${color}; font-size: ${size}px; line-height: 1.6; margin: 0 0 16px;">${html}</p>`;
+}
+
+function button(url, label, color = BRAND.colors.button) {
+  return `
+    <div style="text-align: center; margin: 28px 0;">
+      <a href="${escapeHtml(url)}" style="display: inline-block; background-color: ${color}; color: #ffffff; text-decoration: none; font-size: 15px; font-weight: 600; padding: 14px 32px; border-radius: 8px;">${escapeHtml(label)}</a>
+    </div>`;
+}
+
+function codeBlock(label, value, caption = '') {
+  return `
+    <div style="background-color: ${BRAND.colors.panel}; border: 1px solid ${BRAND.colors.border}; border-radius: 12px; padding: 24px; text-align: center; margin: 24px 0;">
+      <div style="font-size: 11px; text-transform: uppercase; letter-spacing: 1px; color: ${BRAND.colors.muted}; margin-bottom: 12px;">${escapeHtml(label)}</div>
+      <div style="font-family: ${MONO_STACK}; font-size: 20px; font-weight: 700; color: #ffffff; letter-spacing: 2px; padding: 14px; background-color: ${BRAND.colors.code}; border-radius: 8px;">${escapeHtml(value)}</div>
+      ${caption ? `<div style="font-size: 13px; color: ${BRAND.colors.muted}; margin-top: 12px;">${escapeHtml(caption)}</div>` : ''}
+    </div>`;
+}
+
+function panel(title, innerHtml) {
+  return `
+    <div style="background-color: ${BRAND.colors.panelAlt}; border: 1px solid ${BRAND.colors.border}; border-radius: 8px; padding: 20px; margin: 24px 0;">
+      <h3 style="font-size: 15px; color: #ffffff; margin: 0 0 12px 0; font-weight: 600;">${escapeHtml(title)}</h3>
+      ${innerHtml}
+    </div>`;
+}
+
+function orderedList(items) {
+  return `<ol style="color: ${BRAND.colors.body}; font-size: 14px; line-height: 2; margin: 0; padding-left: 18px;">${items
+    .map((item) => `<li>${escapeHtml(item)}</li>`)
+    .join('')}</ol>`;
+}
+
+function layout({ heading, intro = '', content }) {
+  const year = new Date().getUTCFullYear();
+  return `
+<div style="background-color: ${BRAND.colors.background}; padding: 0; margin: 0; width: 100%;">
+  <div style="font-family: ${FONT_STACK}; max-width: 560px; margin: 0 auto; padding: 40px 20px;">
+    <div style="text-align: center; margin-bottom: 32px;">
+      <h1 style="font-size: 26px; color: ${BRAND.colors.heading}; margin: 0; font-weight: 700;">${escapeHtml(heading)}</h1>
+      ${intro ? `<p style="color: ${BRAND.colors.body}; font-size: 15px; margin-top: 10px;">${intro}</p>` : ''}
+    </div>
+    ${content}
+    <div style="text-align: center; margin-top: 32px; padding-top: 24px; border-top: 1px solid ${BRAND.colors.border};">
+      <p style="color: ${BRAND.colors.muted}; font-size: 12px; margin: 0;">Questions? Reach us at <a href="mailto:${BRAND.supportEmail}" style="color: ${BRAND.colors.accent};">${BRAND.supportEmail}</a></p>
+      <p style="color: ${BRAND.colors.faint}; font-size: 11px; margin-top: 8px;">&copy; ${year} ${BRAND.companyName} &bull; <a href="${BRAND.siteUrl}" style="color: ${BRAND.colors.faint};">hyperfect.dev</a></p>
+    </div>
+  </div>
+</div>`;
+}
+
+// ──── Templates ────
+
+const TEMPLATES = {
+  license_key: {
+    description: 'License key delivery after purchase, trial grant or key rotation',
+    required: ['licenseKey'],
+    sample: { licenseKey: 'NEXUS-1A2B-3C4D-5E6F-7A8B', plan: 'trial', expiresAt: '2026-12-31T00:00:00.000Z', rotated: false },
+    subject: ({ rotated }) => (rotated ? 'Your New Nexus License Key' : 'Your Nexus License Key'),
+    render: ({ licenseKey, plan = 'lifetime', expiresAt = '', rotated = false }) => layout({
+      heading: rotated ? 'Your New License Key' : 'Welcome to Nexus',
+      intro: rotated
+        ? 'Your license key was rotated. Your previous key no longer works &mdash; enter this one in the app.'
+        : 'Thanks for your purchase! Here&#39;s your license key.',
+      content: [
+        codeBlock('Your License Key', licenseKey, `Plan: ${describePlan(plan, expiresAt)}`),
+        panel('Getting Started', orderedList([
+          'Join our Discord server to download Nexus',
+          'Open the app and enter your license key',
+          'Upload your resume and configure your job preferences',
+          'Create your first task and let Nexus work',
+        ])),
+        button(BRAND.discordUrl, 'Join the Discord Server', BRAND.colors.discord),
+      ].join(''),
+    }),
+  },
+
+  license_status: {
+    description: 'Admin revoked or reinstated a license',
+    required: ['revoked'],
+    sample: { revoked: true, reasonLabel: 'License key shared publicly', licenseKey: 'NEXUS-1A2B-3C4D-5E6F-7A8B' },
+    subject: ({ revoked }) => (revoked ? 'Your Nexus license was revoked' : 'Your Nexus license was reinstated'),
+    render: ({ revoked, reasonLabel = 'Revoked by support', licenseKey = '' }) => layout({
+      heading: revoked ? 'Your License Was Revoked' : 'Your License Is Active Again',
+      content: revoked
+        ? paragraph(`We've revoked ${escapeHtml(maskKey(licenseKey))}. Reason: ${escapeHtml(reasonLabel)}. Nexus will stop accepting this key.`)
+        : paragraph(`We've reinstated ${escapeHtml(maskKey(licenseKey))}. Open Nexus and it will validate again automatically.`),
+    }),
+  },
+
+  waitlist_invite: {
+    description: 'Approved waitlist applicant receives their checkout invite',
+    required: ['inviteUrl'],
+    sample: { name: 'Alex', inviteUrl: 'https://checkout.stripe.com/c/pay/cs_test_sample', expiresIn: '23 hours' },
+    subject: () => 'Your Nexus beta invite is ready',
+    render: ({ name = '', inviteUrl, expiresIn = '23 hours' }) => layout({
+      heading: 'Your Nexus invite is ready',
+      content: [
+        paragraph(`Hi ${escapeHtml(name || 'there')}, your waitlist spot has been approved. Use the link below to complete your beta checkout and receive your license.`),
+        button(inviteUrl, 'Open invite'),
+        paragraph(`This invite link expires in ${escapeHtml(expiresIn)}.`, { muted: true }),
+        paragraph(`If the button does not work, paste this link into your browser:<br><a href="${escapeHtml(inviteUrl)}" style="color: ${BRAND.colors.accent}; word-break: break-all;">${escapeHtml(inviteUrl)}</a>`, { muted: true, small: true }),
+      ].join(''),
+    }),
+  },
+
+  waitlist_verify: {
+    description: 'Waitlist applicant confirms their email address before joining the queue',
+    required: ['verifyUrl'],
+    sample: {
+      name: 'Alex',
+      verifyUrl: 'https://www.hyperfect.dev/api/waitlist/verify?token=sample',
+      ttlDays: 7,
+    },
+    subject: () => 'Confirm your spot on the Nexus waitlist',
+    render: ({ name = '', verifyUrl, ttlDays = '' }) => layout({
+      heading: 'Confirm your email',
+      intro: `Hi ${escapeHtml(name || 'there')}, one more step: confirm your email address to join the Nexus beta waitlist.`,
+      content: [
+        button(verifyUrl, 'Confirm my email'),
+        paragraph(`Until you confirm, you don't have a place in line.${ttlDays ? ` Unconfirmed signups are removed after ${escapeHtml(ttlDays)} days.` : ''} If you didn't sign up, ignore this email.`, { small: true }),
+      ].join(''),
+    }),
+  },
+
+  waitlist_welcome: {
+    description: 'Waitlist applicant receives their status link and share link after signing up',
+    required: ['statusUrl', 'shareUrl'],
+    sample: {
+      name: 'Alex',
+      statusUrl: 'https://www.hyperfect.dev/waitlist-status?token=sample',
+      shareUrl: 'https://www.hyperfect.dev/?ref=WL-7K3QP9',
+      position: 42,
+    },
+    subject: () => "You're on the Nexus waitlist",
+    render: ({ name = '', statusUrl, shareUrl, position = '' }) => layout({
+      heading: "You're on the list",
+      intro: `Hi ${escapeHtml(name || 'there')}, thanks for joining the Nexus beta waitlist.${position ? ` You're currently #${escapeHtml(position)} in line.` : ''}`,
+      content: [
+        paragraph("We invite people in queue order. Check where you stand any time with your personal status link; keep it to yourself, it works without signing in."),
+        button(statusUrl, 'Check my place in line'),
+        panel('Move up the queue', [
+          paragraph('Every friend who joins the waitlist through your link moves you up.'),
+          paragraph(`<a href="${escapeHtml(shareUrl)}" style="color: ${BRAND.colors.accent}; word-break: break-all;">${escapeHtml(shareUrl)}</a>`, { small: true }),
+        ].join('')),
+      ].join(''),
+    }),
+  },
+
+  gift_license: {
+    description: 'Gift recipient receives a gift code to redeem on /redeem',
+    required: ['giftCode', 'redeemUrl'],
+    sample: {
+      giftCode: 'GIFT-7K3Q-P9XM-4TRW',
+      redeemUrl: 'https://www.hyperfect.dev/redeem?code=GIFT-7K3Q-P9XM-4TRW',
+      recipientName: 'Sam',
+      fromName: 'Alex',
+      message: 'Good luck with the job hunt!',
+      planName: 'Nexus Lifetime',
+    },
+    subject: ({ fromName }) => (fromName ? `${fromName} sent you Nexus` : 'You received a Nexus gift'),
+    render: ({ giftCode, redeemUrl, recipientName = '', fromName = '', message = '', planName = '' }) => layout({
+      heading: 'You received a gift',
+      intro: `Hi ${escapeHtml(recipientName || 'there')}, ${escapeHtml(fromName || 'someone')} bought you ${escapeHtml(planName || 'a Nexus license')}.`,
+      content: [
+        message ? panel(`A note from ${fromName || 'the sender'}`, paragraph(escapeHtml(message))) : '',
+        codeBlock('Your Gift Code', giftCode, 'Redeem it with the email address you want the license on'),
+        button(redeemUrl, 'Redeem your gift'),
+        paragraph(`If the button does not work, go to <a href="${escapeHtml(redeemUrl)}" style="color: ${BRAND.colors.accent}; word-break: break-all;">${escapeHtml(redeemUrl)}</a> and enter the code above.`, { muted: true, small: true }),
+      ].join(''),
+    }),
+  },
+
+  portal_code: {
+    description: 'Verification code for the license dashboard',
+    required: ['code'],
+    sample: { code: '482913', ttlMinutes: 10 },
+    subject: () => 'Your Nexus license dashboard code',
+    render: ({ code, ttlMinutes = 10 }) => layout({
+      heading: 'Nexus License Dashboard',
+      intro: 'Use this verification code to manage your license and reset machine activation.',
+      content: [
+        codeBlock('Verification Code', code),
+        paragraph(`This code expires in ${escapeHtml(ttlMinutes)} minutes. If you didn't request it, you can ignore this email.`, { muted: true }),
+      ].join(''),
+    }),
+  },
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ', '&mdash;': '—', '&bull;': '•', '&copy;': '©' };
+
+// Plain-text alternative derived from the rendered HTML: links keep their URL,
+// block elements become line breaks and list items become bullets.
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      const url = href.replace(/&amp;/g, '&');
+      if (href.startsWith('mailto:')) return text;
+      return text && !url.includes(text) ? `${text}: ${url}` : url;
+    })
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/li>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|h[1-6]|ol|ul)>/gi, '\n\n')
+    .replace(/<\/div>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[a-z#0-9]+;/gi, (entity) => ENTITIES[entity] ?? entity)
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    description: template.description,
+    required: template.required,
+    sample: template.sample,
+  }));
+}
+
+function renderEmail(name, vars = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const missing = template.required.filter((key) => vars[key] === undefined || vars[key] === null || vars[key] === '');
+  if (missing.length) throw new Error(`Missing variables for ${name}: ${missing.join(', ')}`);
+
+  const html = template.render(vars);
+  return {
+    subject: template.subject(vars),
+    html,
+    text: htmlToText(html),
+  };
+}
+
+module.exports = {
+  BRAND,
+  describePlan,
+  htmlToText,
+  listTemplates,
+  renderEmail,
+};
@@ -0,0 +1,192 @@
+// Pluggable outbound email transport.
+//
+// sendEmail({ to, from?, subject, html, text }) delivers through the configured
+// driver and returns { ok, id?, error?, retryable?, transport }:
+//   resend — Resend HTTP API (production default)
+//   smtp   — any SMTP server via nodemailer (lazy-required)
+//   outbox — writes each rendered message to a directory as JSON + .eml, so
+//            purchase, invite and portal-code flows can run end-to-end in dev/CI
+//
+// Environment Variables:
+//   EMAIL_TRANSPORT   — resend | smtp | outbox. When unset: resend if
+//                       RESEND_API_KEY is set, else smtp if SMTP_HOST is set,
+//                       else outbox outside production.
+//   EMAIL_FROM        — default sender (Nexus by Hyperfect <noreply@admin.hyperfect.dev>)
+//   RESEND_API_KEY    — Resend API key (re_...)
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for 465), SMTP_USER, SMTP_PASS
+//   EMAIL_OUTBOX_DIR  — outbox directory (default .data/outbox)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'Nexus by Hyperfect <noreply@admin.hyperfect.dev>';
+
+function getDefaultFrom() {
+  return String(process.env.EMAIL_FROM || DEFAULT_FROM).trim();
+}
+
+function getTransportName() {
+  const explicit = String(process.env.EMAIL_TRANSPORT || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  if (String(process.env.RESEND_API_KEY || '').trim()) return 'resend';
+  if (String(process.env.SMTP_HOST || '').trim()) return 'smtp';
+  if (process.env.VERCEL_ENV !== 'production') return 'outbox';
+  return 'none';
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).map((entry) => String(entry || '').trim()).filter(Boolean);
+}
+
+async function sendViaResend(message) {
+  const resendKey = String(process.env.RESEND_API_KEY || '').trim();
+  if (!resendKey) return { ok: false, error: 'RESEND_API_KEY not configured', retryable: false };
+
+  try {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${resendKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(message),
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      return {
+        ok: false,
+        error: `Resend responded ${response.status}: ${detail.slice(0, 160)}`,
+        // 4xx means the request itself is wrong (bad address, etc.); retrying won't help.
+        retryable: response.status >= 500 || response.status === 429,
+      };
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return { ok: true, id: String(data?.id || '') };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err), retryable: true };
+  }
+}
+
+let _smtpTransport = null;
+
+function getSmtpTransport() {
+  if (_smtpTransport) return _smtpTransport;
+  let nodemailer;
+  try {
+    nodemailer = require('nodemailer');
+  } catch (_) {
+    throw new Error('SMTP transport requires the nodemailer package');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT || '587', 10) || 587;
+  _smtpTransport = nodemailer.createTransport({
+    host: String(process.env.SMTP_HOST || '').trim(),
+    port,
+    secure: String(process.env.SMTP_SECURE || '').toLowerCase() === 'true' || port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: String(process.env.SMTP_USER).trim(), pass: String(process.env.SMTP_PASS || '') }
+      : undefined,
+  });
+  return _smtpTransport;
+}
+
+async function sendViaSmtp(message) {
+  if (!String(process.env.SMTP_HOST || '').trim()) {
+    return { ok: false, error: 'SMTP_HOST not configured', retryable: false };
+  }
+  try {
+    const info = await getSmtpTransport().sendMail({
+      from: message.from,
+      to: message.to.join(', '),
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+    return { ok: true, id: String(info?.messageId || '') };
+  } catch (err) {
+    // SMTP 5xx replies are permanent rejections.
+    const permanent = Number(err?.responseCode) >= 500 && Number(err?.responseCode) < 600;
+    return { ok: false, error: err?.message || String(err), retryable: !permanent };
+  }
+}
+
+function buildEml(message, id, date) {
+  const boundary = `nexus-${id}`;
+  return [
+    `Message-ID: <${id}@outbox.local>`,
+    `Date: ${date.toUTCString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to.join(', ')}`,
+    `Subject: ${message.subject}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text || '',
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    message.html || '',
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+async function sendViaOutbox(message) {
+  const dir = path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), '.data', 'outbox'));
+  const date = new Date();
+  const id = `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ id, sent_at: date.toISOString(), ...message }, null, 2)
+    );
+    await fs.promises.writeFile(path.join(dir, `${id}.eml`), buildEml(message, id, date));
+    console.log(`Email written to outbox: ${path.join(dir, id)}.eml (${message.subject} -> ${message.to.join(', ')})`);
+    return { ok: true, id };
+  } catch (err) {
+    return { ok: false, error: `Outbox write failed: ${err?.message || String(err)}`, retryable: false };
+  }
+}
+
+const DRIVERS = {
+  resend: sendViaResend,
+  smtp: sendViaSmtp,
+  outbox: sendViaOutbox,
+};
+
+async function sendEmail({ to, from = '', subject, html = '', text = '' }) {
+  const transport = getTransportName();
+  const message = {
+    from: String(from || '').trim() || getDefaultFrom(),
+    to: toList(to),
+    subject: String(subject || ''),
+    html,
+    text,
+  };
+  if (!message.to.length) {
+    return { ok: false, error: 'Email has no recipient', retryable: false, transport };
+  }
+
+  const driver = DRIVERS[transport];
+  if (!driver) {
+    console.log(`Email transport "${transport}" is not available — skipping "${message.subject}"`);
+    return { ok: false, error: `Email transport not configured (${transport})`, retryable: false, transport };
+  }
+
+  const result = await driver(message);
+  return { ...result, transport };
+}
+
+module.exports = {
+  getTransportName,
+  getDefaultFrom,
+  sendEmail,
+};
@@ -0,0 +1,399 @@
+// Reusable beta invite codes (e.g. one code for a podcast audience).
+//
+// Unlike per-email invites, a code is shared publicly and mints a beta checkout
+// session for whoever redeems it (/api/invite-redeem, the /redeem page). Each
+// code has a redemption cap, an expiry date and an optional license tier.
+// Admins manage codes through /api/invite-codes and the Discord /invite-code
+// command.
+//
+// Minting a session reserves one redemption, so open checkouts count against
+// the cap; sessions last Stripe's 30-minute minimum so an unused reservation
+// doesn't hold a place for long. The webhook turns the reservation into a
+// redemption when the checkout completes (recordInviteCodeRedemption) or
+// releases it when the session expires (releaseInviteCodeReservation). A
+// completion past the cap, or by an email that already redeemed the code,
+// issues nothing.
+//
+// Counts change through claims on invite_code_revision, so concurrent changes
+// retry on a fresh read instead of losing an update. Each session is settled
+// (counted or released) under its own claim, so webhook retries don't count it
+// again. Stripe keeps claim keys for 24 hours; past that, a completion that
+// issued a license is still recognised by the license's checkout session.
+//
+// Each code is its own record (no email) with metadata:
+//   invite_code, invite_code_status active | disabled, invite_code_label,
+//   invite_code_max_redemptions, invite_code_redemptions, invite_code_reserved
+//   (open checkout sessions), invite_code_sessions (checkout sessions minted),
+//   invite_code_revision (bumped by every count change), invite_code_expires_at, invite_code_tier, invite_code_created_by,
+//   invite_code_created_at, invite_code_disabled_at, invite_code_disabled_by,
+//   invite_code_last_redeemed_at
+// Licenses issued through a code list it in license_invite_codes.
+
+const crypto = require('crypto');
+const {
+  stripe,
+  licenseStore,
+  cleanText,
+  normalizeEmail,
+  hasRecentId,
+  findCustomerByEmail,
+} = require('./_license-utils');
+const { getPlan, getPlanPriceId } = require('./_plan-catalog');
+
+const INVITE_CODE_PATTERN = /^[A-Z0-9][A-Z0-9-]{3,31}$/;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_TIERS = new Set(['basic', 'pro', 'unlimited']);
+const DEFAULT_MAX_REDEMPTIONS = 100;
+const MAX_REDEMPTIONS_LIMIT = 10000;
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+// Stripe's shortest checkout session lifetime.
+const INVITE_SESSION_SECONDS = 30 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Concurrent count changes retry this many times.
+const UPDATE_ATTEMPTS = 3;
+
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(8);
+  let code = '';
+  for (const byte of bytes) code += INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length];
+  return `INV-${code}`;
+}
+
+// Gift and referral codes have their own prefixes; keep invite codes distinct
+// so /redeem can tell them apart.
+function normalizeInviteCode(value) {
+  const code = cleanText(value, 40).toUpperCase();
+  if (!INVITE_CODE_PATTERN.test(code) || /^(GIFT|REF)-/.test(code)) return '';
+  return code;
+}
+
+async function findInviteCode(rawCode) {
+  const code = normalizeInviteCode(rawCode);
+  if (!code) return null;
+  const [record] = await licenseStore.listByMetadata('invite_code', code, { limit: 1 });
+  return record && !record.deleted ? record : null;
+}
+
+// Checkout sessions carry the record ID, so the webhook reads the code directly.
+async function findInviteCodeForSession(session) {
+  const metadata = session?.metadata || {};
+  if (metadata.invite_code_id) {
+    const record = await licenseStore.getById(metadata.invite_code_id);
+    if (record && !record.deleted && record.metadata?.invite_code === metadata.invite_code) return record;
+  }
+  return findInviteCode(metadata.invite_code);
+}
+
+function countOf(metadata, key) {
+  return parseInt(metadata[key] || '0', 10) || 0;
+}
+
+function getInviteCodeState(metadata = {}, now = Date.now()) {
+  if (metadata.invite_code_status === 'disabled') return 'disabled';
+  const expiresTs = Date.parse(metadata.invite_code_expires_at || '');
+  if (!Number.isNaN(expiresTs) && expiresTs <= now) return 'expired';
+  const max = countOf(metadata, 'invite_code_max_redemptions');
+  const taken = countOf(metadata, 'invite_code_redemptions') + countOf(metadata, 'invite_code_reserved');
+  if (max && taken >= max) return 'exhausted';
+  return 'active';
+}
+
+function mapInviteCode(record) {
+  const metadata = record?.metadata || {};
+  const max = countOf(metadata, 'invite_code_max_redemptions');
+  const used = countOf(metadata, 'invite_code_redemptions');
+  const reserved = countOf(metadata, 'invite_code_reserved');
+  return {
+    code: metadata.invite_code || '',
+    label: metadata.invite_code_label || '',
+    state: getInviteCodeState(metadata),
+    tier: metadata.invite_code_tier || '',
+    max_redemptions: max,
+    redemptions: used,
+    reserved,
+    remaining: Math.max(0, max - used - reserved),
+    sessions: parseInt(metadata.invite_code_sessions || '0', 10) || 0,
+    expires_at: metadata.invite_code_expires_at || null,
+    created_at: metadata.invite_code_created_at || null,
+    created_by: metadata.invite_code_created_by || '',
+    disabled_at: metadata.invite_code_disabled_at || null,
+    disabled_by: metadata.invite_code_disabled_by || '',
+    last_redeemed_at: metadata.invite_code_last_redeemed_at || null,
+  };
+}
+
+// state: active | disabled | expired | exhausted | all; newest first.
+async function listInviteCodes({ state = 'all', limit = 100 } = {}) {
+  const records = [
+    ...await licenseStore.listByMetadata('invite_code_status', 'active', { limit: 500 }),
+    ...await licenseStore.listByMetadata('invite_code_status', 'disabled', { limit: 500 }),
+  ];
+  return records
+    .map(mapInviteCode)
+    .filter((entry) => state === 'all' || entry.state === state)
+    .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')))
+    .slice(0, limit);
+}
+
+// Validate admin input and store a new code. Returns { status, code?, error? }.
+async function createInviteCode({ code = '', label = '', maxRedemptions, expiresAt = '', expiresInDays, tier = '', actor = '' }) {
+  const normalized = code ? normalizeInviteCode(code) : generateInviteCode();
+  if (!normalized) {
+    return { status: 400, error: 'code must be 4-32 letters, digits or dashes and not start with GIFT- or REF-' };
+  }
+
+  const max = maxRedemptions === undefined || maxRedemptions === null || maxRedemptions === ''
+    ? DEFAULT_MAX_REDEMPTIONS
+    : parseInt(maxRedemptions, 10);
+  if (!Number.isFinite(max) || max < 1 || max > MAX_REDEMPTIONS_LIMIT) {
+    return { status: 400, error: `max_redemptions must be between 1 and ${MAX_REDEMPTIONS_LIMIT}` };
+  }
+
+  let expiresTs;
+  if (expiresAt) {
+    expiresTs = Date.parse(expiresAt);
+    if (Number.isNaN(expiresTs) || expiresTs <= Date.now() || expiresTs > Date.now() + MAX_EXPIRY_DAYS * DAY_MS) {
+      return { status: 400, error: `expires_at must be a date within the next ${MAX_EXPIRY_DAYS} days` };
+    }
+  } else {
+    const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === ''
+      ? DEFAULT_EXPIRY_DAYS
+      : Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+      return { status: 400, error: `expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}` };
+    }
+    expiresTs = Date.now() + days * DAY_MS;
+  }
+
+  const normalizedTier = cleanText(tier, 16).toLowerCase();
+  if (normalizedTier && !INVITE_CODE_TIERS.has(normalizedTier)) {
+    return { status: 400, error: 'tier must be basic, pro or unlimited' };
+  }
+
+  if (await findInviteCode(normalized)) {
+    return { status: 409, error: `Invite code ${normalized} already exists` };
+  }
+
+  const record = await licenseStore.create({
+    name: `Nexus invite code ${normalized}`,
+    metadata: {
+      invite_code: normalized,
+      invite_code_status: 'active',
+      invite_code_label: cleanText(label, 120),
+      invite_code_max_redemptions: String(max),
+      invite_code_redemptions: '0',
+      invite_code_expires_at: new Date(expiresTs).toISOString(),
+      invite_code_tier: normalizedTier,
+      invite_code_created_by: cleanText(actor, 120),
+      invite_code_created_at: new Date().toISOString(),
+    },
+  });
+  return { status: 200, code: mapInviteCode(record) };
+}
+
+async function disableInviteCode(rawCode, { actor = '' } = {}) {
+  const record = await findInviteCode(rawCode);
+  if (!record) return { status: 404, error: 'Invite code not found' };
+  if (record.metadata?.invite_code_status === 'disabled') {
+    return { status: 200, code: mapInviteCode(record) };
+  }
+  const updated = await licenseStore.update(record.id, {
+    invite_code_status: 'disabled',
+    invite_code_disabled_at: new Date().toISOString(),
+    invite_code_disabled_by: cleanText(actor, 120),
+  });
+  return { status: 200, code: mapInviteCode(updated) };
+}
+
+function hasRedeemedInviteCode(customer, code) {
+  return hasRecentId(customer?.metadata?.license_invite_codes, code);
+}
+
+// Apply a count change to a code record. `buildPatch(metadata)` returns the
+// patch, or null to leave the record alone; it runs again on a fresh read when a
+// concurrent change took the same revision. Returns { record } or { busy: true }.
+async function updateInviteCodeCounts(recordId, buildPatch) {
+  for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt += 1) {
+    const record = await licenseStore.getById(recordId);
+    if (!record || record.deleted) return { record: null };
+    const metadata = record.metadata || {};
+    const patch = buildPatch(metadata);
+    if (!patch) return { record };
+
+    const revision = countOf(metadata, 'invite_code_revision');
+    try {
+      const updated = await licenseStore.claim(record.id, {
+        ...patch,
+        invite_code_revision: String(revision + 1),
+        invite_code_nonce: crypto.randomBytes(8).toString('hex'),
+      }, `invite-code:${record.id}:${revision}`);
+      return { record: updated };
+    } catch (err) {
+      if (err?.code !== 'claim_conflict') throw err;
+    }
+  }
+  return { busy: true };
+}
+
+// Reserve one redemption for a new checkout session. Returns { record } or { status, error }.
+async function reserveInviteCodeRedemption(recordId) {
+  let refusal = null;
+  const { record, busy } = await updateInviteCodeCounts(recordId, (metadata) => {
+    const state = getInviteCodeState(metadata);
+    refusal = state === 'active'
+      ? null
+      : { status: 410, error: `This invite code is ${state === 'exhausted' ? 'fully used' : state}` };
+    if (refusal) return null;
+    return {
+      invite_code_sessions: String(countOf(metadata, 'invite_code_sessions') + 1),
+      invite_code_reserved: String(countOf(metadata, 'invite_code_reserved') + 1),
+    };
+  });
+  if (busy) return { status: 409, error: 'This invite code is busy; try again in a moment' };
+  if (!record) return { status: 404, error: 'Invite code not found' };
+  return refusal || { record };
+}
+
+async function releaseReservation(recordId) {
+  const { busy } = await updateInviteCodeCounts(recordId, (metadata) => ({
+    invite_code_reserved: String(Math.max(0, countOf(metadata, 'invite_code_reserved') - 1)),
+  }));
+  if (busy) throw new Error(`Invite code record ${recordId} is busy; reservation not released`);
+}
+
+// Mark `session` settled on the code record. Returns false when it already was
+// (a webhook retry, or the other of completed/expired).
+async function claimSessionSettlement(record, session) {
+  // Sessions settled before per-session claims were listed here.
+  if (hasRecentId(record.metadata?.invite_code_settled_sessions, session.id)) return false;
+  try {
+    await licenseStore.claim(record.id, {
+      invite_code_settle_nonce: crypto.randomBytes(8).toString('hex'),
+    }, `invite-code-settle:${session.id}`);
+    return true;
+  } catch (err) {
+    if (err?.code === 'claim_conflict') return false;
+    throw err;
+  }
+}
+
+// Mint a beta checkout session for one redemption of `rawCode`.
+// Returns { status, url?, expires_at?, error? }.
+async function redeemInviteCode({ code: rawCode, email, name = '' }) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    return { status: 400, error: 'A valid email address is required' };
+  }
+
+  const found = await findInviteCode(rawCode);
+  if (!found) return { status: 404, error: 'Invite code not found' };
+  if (hasRedeemedInviteCode(await findCustomerByEmail(normalizedEmail), found.metadata?.invite_code)) {
+    return { status: 409, error: 'This email has already redeemed this invite code' };
+  }
+
+  const plan = getPlan('beta');
+  const priceId = getPlanPriceId(plan);
+  if (!priceId) throw new Error(`${plan.priceEnv} not configured`);
+
+  const reservation = await reserveInviteCodeRedemption(found.id);
+  if (!reservation.record) return { status: reservation.status, error: reservation.error };
+  const record = reservation.record;
+  const metadata = record.metadata || {};
+
+  const expiresAt = Math.floor(Date.now() / 1000) + INVITE_SESSION_SECONDS;
+
+  const siteUrl = process.env.SITE_URL || 'https://www.hyperfect.dev';
+  let session;
+  try {
+    session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: [{ price: priceId, quantity: 1 }],
+      mode: 'payment',
+      customer_email: normalizedEmail,
+      success_url: `${siteUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${siteUrl}/?checkout=cancelled`,
+      expires_at: expiresAt,
+      metadata: {
+        invite_for: cleanText(name, 120) || normalizedEmail,
+        source: 'invite_code',
+        plan_slug: plan.slug,
+        invite_code: metadata.invite_code,
+        invite_code_id: record.id,
+        ...(metadata.invite_code_tier ? { invite_tier: metadata.invite_code_tier } : {}),
+      },
+    });
+  } catch (err) {
+    await releaseReservation(record.id).catch(() => {});
+    throw err;
+  }
+
+  return { status: 200, url: session.url, expires_at: new Date(expiresAt * 1000).toISOString() };
+}
+
+function refusalReason(metadata, customer) {
+  const max = countOf(metadata, 'invite_code_max_redemptions');
+  if (hasRedeemedInviteCode(customer, metadata.invite_code)) return 'email_already_redeemed';
+  if (max && countOf(metadata, 'invite_code_redemptions') >= max) return 'cap_reached';
+  return '';
+}
+
+// Turn a completed checkout's reservation into a redemption. Returns { ok: true }
+// or { ok: false, reason } when the completion must not issue a license. A
+// session that was already settled changes no counts; it is judged again on the
+// current record, and a license already issued for it is skipped by the
+// webhook's own duplicate check.
+async function recordInviteCodeRedemption(session, { email = '' } = {}) {
+  const found = await findInviteCodeForSession(session);
+  if (!found) return { ok: false, reason: 'unknown_code' };
+  const existing = email ? await findCustomerByEmail(email) : null;
+  if (existing?.metadata?.license_checkout_session_id === session.id) return { ok: true };
+
+  if (!(await claimSessionSettlement(found, session))) {
+    const reason = refusalReason(found.metadata || {}, existing);
+    return reason ? { ok: false, reason } : { ok: true };
+  }
+
+  // Sessions minted before reservations existed don't carry the record ID or hold one.
+  const reservedBySession = !!session.metadata?.invite_code_id;
+  let reason = '';
+  const { busy } = await updateInviteCodeCounts(found.id, (metadata) => {
+    reason = refusalReason(metadata, existing);
+    return {
+      ...(reservedBySession ? { invite_code_reserved: String(Math.max(0, countOf(metadata, 'invite_code_reserved') - 1)) } : {}),
+      ...(reason ? {} : {
+        invite_code_redemptions: String(countOf(metadata, 'invite_code_redemptions') + 1),
+        invite_code_last_redeemed_at: new Date().toISOString(),
+      }),
+    };
+  });
+  if (busy) throw new Error(`Invite code record ${found.id} is busy; session ${session.id} settled without counting`);
+  return reason ? { ok: false, reason } : { ok: true };
+}
+
+// Release the reservation of a checkout session that expired unused.
+async function releaseInviteCodeReservation(session) {
+  if (!session.metadata?.invite_code_id) return null;
+  const record = await findInviteCodeForSession(session);
+  if (!record) return null;
+  if (!(await claimSessionSettlement(record, session))) return record;
+  await releaseReservation(record.id);
+  return record;
+}
+
+module.exports = {
+  INVITE_CODE_TIERS,
+  INVITE_SESSION_SECONDS,
+  generateInviteCode,
+  normalizeInviteCode,
+  findInviteCode,
+  getInviteCodeState,
+  mapInviteCode,
+  listInviteCodes,
+  createInviteCode,
+  disableInviteCode,
+  hasRedeemedInviteCode,
+  redeemInviteCode,
+  recordInviteCodeRedemption,
+  releaseInviteCodeReservation,
+};
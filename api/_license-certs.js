@@ -0,0 +1,114 @@
+// Ed25519-signed offline activation certificates.
+//
+// Issued on successful hardware-bound validation so the desktop app can prove
+// entitlement while offline without trusting editable local state. Format
+// mirrors the updater tokens: `<base64url(payload)>.<base64url(signature)>`,
+// where the signature covers the encoded payload string. The payload carries the
+// tier entitlements (`ent`) so offline clients enforce the same limits.
+//
+// Environment Variables:
+//   LICENSE_SIGNING_KEY — base64 Ed25519 seed (32 bytes) or secret key (64 bytes)
+//
+// The matching public key is served at /.well-known/nexus-license-key.json.
+
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+
+const CERT_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a certificate stays valid offline, per tier. license_offline_grace_days overrides.
+const TIER_OFFLINE_GRACE_DAYS = {
+  basic: 3,
+  pro: 7,
+  unlimited: 14,
+};
+
+let _keyPair;
+
+function toBase64Url(input) {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/g, '');
+}
+
+function getSigningKeyPair() {
+  if (_keyPair !== undefined) return _keyPair;
+
+  const raw = String(process.env.LICENSE_SIGNING_KEY || '').trim();
+  if (!raw) {
+    _keyPair = null;
+    return _keyPair;
+  }
+
+  const bytes = new Uint8Array(Buffer.from(raw, 'base64'));
+  if (bytes.length === nacl.sign.seedLength) {
+    _keyPair = nacl.sign.keyPair.fromSeed(bytes);
+  } else if (bytes.length === nacl.sign.secretKeyLength) {
+    _keyPair = nacl.sign.keyPair.fromSecretKey(bytes);
+  } else {
+    throw new Error('LICENSE_SIGNING_KEY must be a base64 Ed25519 seed (32 bytes) or secret key (64 bytes)');
+  }
+  return _keyPair;
+}
+
+function getKeyId(publicKey) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKey)).digest('hex').slice(0, 16);
+}
+
+function getPublicKeyInfo() {
+  const keyPair = getSigningKeyPair();
+  if (!keyPair) return null;
+  return {
+    algorithm: 'Ed25519',
+    key_id: getKeyId(keyPair.publicKey),
+    public_key: Buffer.from(keyPair.publicKey).toString('base64'),
+    format: 'base64url(payload).base64url(signature)',
+  };
+}
+
+function getOfflineGraceDays(metadata = {}, tier = '') {
+  const override = parseInt(metadata.license_offline_grace_days || '', 10);
+  if (Number.isFinite(override) && override >= 0) return override;
+  return TIER_OFFLINE_GRACE_DAYS[tier] ?? TIER_OFFLINE_GRACE_DAYS.basic;
+}
+
+// Returns null when no signing key is configured so validation keeps working without one.
+function issueActivationCertificate({ key, tier, plan, hardwareId, entitlements = null, graceDays, notAfter = null }) {
+  const keyPair = getSigningKeyPair();
+  if (!keyPair) return null;
+
+  const issuedAt = Date.now();
+  let expiresAt = issuedAt + Math.max(0, graceDays) * DAY_MS;
+  // Never let an offline certificate outlive the license itself.
+  if (notAfter && notAfter < expiresAt) expiresAt = notAfter;
+
+  const payload = {
+    v: CERT_VERSION,
+    kid: getKeyId(keyPair.publicKey),
+    key,
+    tier,
+    plan,
+    hwid: hardwareId,
+    ...(entitlements ? { ent: entitlements } : {}),
+    iat: issuedAt,
+    exp: expiresAt,
+  };
+  const body = toBase64Url(JSON.stringify(payload));
+  const signature = nacl.sign.detached(Buffer.from(body), keyPair.secretKey);
+
+  return {
+    token: `${body}.${toBase64Url(signature)}`,
+    key_id: payload.kid,
+    issued_at: new Date(issuedAt).toISOString(),
+    expires_at: new Date(expiresAt).toISOString(),
+    offline_grace_days: graceDays,
+  };
+}
+
+module.exports = {
+  getPublicKeyInfo,
+  getOfflineGraceDays,
+  issueActivationCertificate,
+};
@@ -0,0 +1,241 @@
+// Shared license key delivery email, used by the Stripe webhook and admin flows
+// that issue licenses directly (e.g. waitlist trials). Delivery goes through the
+// configured email transport (see _email-transport.js).
+//
+// Delivery state is persisted on the license record so failures are durable:
+//   license_email_status  pending (queued, not yet attempted) | failed | sent
+//   license_email_kind    license | rotated — which template to resend
+//   license_email_attempts, license_email_error, license_email_failed_at,
+//   license_email_next_retry_at (empty once retries are exhausted)
+// The cron job (/api/email-outbox?action=retry) re-sends due entries, and admins
+// can resend any entry from the waitlist admin page.
+
+const { licenseStore, REVOCATION_REASONS } = require('./_license-utils');
+const { renderEmail } = require('./_email-templates');
+const { sendEmail } = require('./_email-transport');
+
+// ──── Sentry observability (optional, graceful if not configured) ────
+let Sentry = null;
+try {
+    if (process.env.SENTRY_DSN) {
+        Sentry = require('@sentry/node');
+        Sentry.init({
+            dsn: process.env.SENTRY_DSN,
+            environment: process.env.VERCEL_ENV || 'production',
+            tracesSampleRate: 0.2,
+        });
+    }
+} catch (e) {
+    // Sentry not installed — continue without it
+}
+
+// Scheduled retries after a failed delivery, in minutes. Once exhausted the
+// entry stays failed until an admin (or the customer) resends it.
+const RETRY_SCHEDULE_MINUTES = [15, 60, 360, 1440];
+// Pending entries older than this were interrupted mid-send and get retried.
+const PENDING_STALE_MINUTES = 10;
+
+// Metadata to include in a license write that is about to be emailed, so a crash
+// between storing the license and sending leaves a retryable outbox entry.
+function buildEmailQueuedPatch(kind = 'license') {
+    return {
+        license_email_status: 'pending',
+        license_email_kind: kind,
+        license_email_queued_at: new Date().toISOString(),
+    };
+}
+
+async function recordEmailOutcome(customerId, kind, result) {
+    const nowIso = new Date().toISOString();
+    if (result.ok) {
+        return licenseStore.update(customerId, {
+            license_email_status: 'sent',
+            license_email_kind: kind,
+            license_email_sent_at: nowIso,
+            license_email_id: String(result.id || '').slice(0, 120),
+            license_email_attempts: '',
+            license_email_error: '',
+            license_email_failed: '',
+            license_email_failed_at: '',
+            license_email_next_retry_at: '',
+            license_email_queued_at: '',
+        });
+    }
+
+    const current = await licenseStore.getById(customerId);
+    const attempts = (parseInt(current?.metadata?.license_email_attempts || '0', 10) || 0) + 1;
+    // Permanent rejections (invalid address, missing config) are left for an admin.
+    const delayMinutes = result.retryable === false ? 0 : RETRY_SCHEDULE_MINUTES[attempts - 1];
+    return licenseStore.update(customerId, {
+        license_email_status: 'failed',
+        license_email_kind: kind,
+        license_email_attempts: String(attempts),
+        license_email_error: String(result.error || '').slice(0, 200),
+        license_email_failed_at: nowIso,
+        license_email_next_retry_at: delayMinutes
+            ? new Date(Date.now() + delayMinutes * 60 * 1000).toISOString()
+            : '',
+        license_email_failed: '',
+    });
+}
+
+// Send the license key with retry logic.
+// `rotated` switches the copy for keys replaced from the license dashboard.
+async function sendLicenseEmail(email, licenseKey, plan, customerId = null, expiresAt = '', { rotated = false } = {}) {
+    const rendered = renderEmail('license_key', { licenseKey, plan, expiresAt, rotated });
+
+    // Retry up to 3 times with exponential backoff
+    const MAX_RETRIES = 3;
+    let lastError = '';
+    let lastRetryable = true;
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        const result = await sendEmail({ to: email, ...rendered });
+        if (result.ok) {
+            console.log(`License email sent to ${email} via ${result.transport} (attempt ${attempt}, id=${result.id || 'unknown'})`);
+            if (customerId) {
+                await recordEmailOutcome(customerId, rotated ? 'rotated' : 'license', result).catch((err) => {
+                    console.error('Failed to record email delivery on customer:', err?.message);
+                });
+            }
+            return { ok: true, id: result.id || '', attempt };
+        }
+
+        lastError = result.error;
+        lastRetryable = result.retryable !== false;
+        console.error(`License email attempt ${attempt}/${MAX_RETRIES} failed: ${lastError}`);
+
+        // Don't retry permanent failures (bad request, invalid email, missing config, etc.)
+        if (!result.retryable) {
+            break;
+        }
+
+        // Wait before retry (1s, 2s, 4s)
+        if (attempt < MAX_RETRIES) {
+            await new Promise(r => setTimeout(r, 1000 * Math.pow(2, attempt - 1)));
+        }
+    }
+
+    // All retries exhausted — log to Sentry and store failure on customer metadata
+    const errorMsg = `License email delivery failed after ${MAX_RETRIES} attempts: ${lastError}`;
+    console.error(errorMsg);
+    if (Sentry) {
+        Sentry.captureMessage(errorMsg, { level: 'error', extra: { email, licenseKey, customerId } });
+    }
+
+    // Store the failure on the license record so the outbox retry job and admins can resend
+    if (customerId) {
+        try {
+            await recordEmailOutcome(customerId, rotated ? 'rotated' : 'license', { ok: false, error: lastError, retryable: lastRetryable });
+        } catch (metaErr) {
+            console.error('Failed to store email failure on customer:', metaErr?.message);
+        }
+    }
+
+    return { ok: false, error: lastError };
+}
+
+// Tell a customer their license was revoked or reinstated (single attempt; the
+// admin sees the result and can retry).
+async function sendLicenseStatusEmail(email, { revoked, reason = '', licenseKey = '' }) {
+    const rendered = renderEmail('license_status', {
+        revoked,
+        reasonLabel: REVOCATION_REASONS[reason] || REVOCATION_REASONS.other,
+        licenseKey,
+    });
+
+    const result = await sendEmail({ to: email, ...rendered });
+    return result.ok
+        ? { ok: true, id: result.id || '' }
+        : { ok: false, error: String(result.error || '').slice(0, 200) };
+}
+
+// Re-send the license email for a record using its current key, plan and expiry.
+async function resendLicenseEmail(customer) {
+    const metadata = customer?.metadata || {};
+    if (!customer?.email || !metadata.license_key) {
+        return { ok: false, error: 'Record has no email or license key' };
+    }
+    return sendLicenseEmail(
+        customer.email,
+        metadata.license_key,
+        metadata.plan || 'lifetime',
+        customer.id,
+        metadata.license_expires_at || '',
+        { rotated: metadata.license_email_kind === 'rotated' }
+    );
+}
+
+function mapOutboxEntry(customer) {
+    const metadata = customer.metadata || {};
+    return {
+        customer_id: customer.id,
+        email: customer.email || '',
+        status: metadata.license_email_status || (metadata.license_email_failed === 'true' ? 'failed' : ''),
+        kind: metadata.license_email_kind || 'license',
+        attempts: parseInt(metadata.license_email_attempts || '0', 10) || 0,
+        error: metadata.license_email_error || '',
+        queued_at: metadata.license_email_queued_at || null,
+        failed_at: metadata.license_email_failed_at || null,
+        next_retry_at: metadata.license_email_next_retry_at || null,
+    };
+}
+
+// Outbox entries by status ('failed', 'pending' or 'all'), oldest failure first.
+async function listLicenseEmailOutbox({ status = 'failed', limit = 100 } = {}) {
+    const statuses = status === 'all' ? ['failed', 'pending'] : [status];
+    const byId = new Map();
+    for (const entryStatus of statuses) {
+        for (const customer of await licenseStore.listByMetadata('license_email_status', entryStatus, { limit })) {
+            byId.set(customer.id, customer);
+        }
+    }
+    // Records that failed before delivery state was tracked.
+    if (statuses.includes('failed')) {
+        for (const customer of await licenseStore.listByMetadata('license_email_failed', 'true', { limit })) {
+            byId.set(customer.id, customer);
+        }
+    }
+
+    return [...byId.values()]
+        .map(mapOutboxEntry)
+        .sort((a, b) => String(a.failed_at || a.queued_at || '').localeCompare(String(b.failed_at || b.queued_at || '')))
+        .slice(0, limit);
+}
+
+function isOutboxEntryDue(entry, now = Date.now()) {
+    if (entry.status === 'pending') {
+        const queuedTs = Date.parse(entry.queued_at || '');
+        return Number.isNaN(queuedTs) || now - queuedTs >= PENDING_STALE_MINUTES * 60 * 1000;
+    }
+    if (entry.status !== 'failed' || !entry.next_retry_at) return false;
+    const dueTs = Date.parse(entry.next_retry_at);
+    return !Number.isNaN(dueTs) && dueTs <= now;
+}
+
+// Scheduled job: re-send every due outbox entry (up to `limit` per run).
+async function retryDueLicenseEmails({ limit = 20 } = {}) {
+    const entries = (await listLicenseEmailOutbox({ status: 'all', limit: 200 }))
+        .filter((entry) => isOutboxEntryDue(entry))
+        .slice(0, limit);
+
+    const results = [];
+    for (const entry of entries) {
+        const customer = await licenseStore.getById(entry.customer_id);
+        const result = await resendLicenseEmail(customer);
+        results.push({ customer_id: entry.customer_id, email: entry.email, ok: !!result.ok, error: result.ok ? '' : result.error });
+    }
+    return {
+        attempted: results.length,
+        sent: results.filter((result) => result.ok).length,
+        results,
+    };
+}
+
+module.exports = {
+    buildEmailQueuedPatch,
+    sendLicenseEmail,
+    resendLicenseEmail,
+    listLicenseEmailOutbox,
+    retryDueLicenseEmails,
+    sendLicenseStatusEmail,
+};
@@ -0,0 +1,100 @@
+// Server-side feature entitlements per license tier.
+//
+// Returned with every successful validation so the desktop app doesn't hardcode
+// what each tier can do. Per-customer overrides live in `license_entitlements`
+// metadata as a JSON object holding any subset of the fields below, e.g.
+//   {"daily_application_cap":250,"beta_channel":true}
+//
+// daily_application_cap: null means no cap.
+
+const JOB_PLATFORMS = ['linkedin', 'indeed', 'glassdoor', 'ats'];
+
+const TIER_ENTITLEMENTS = {
+  basic: {
+    daily_application_cap: 25,
+    job_platforms: ['linkedin', 'indeed'],
+    max_concurrent_tasks: 1,
+    beta_channel: false,
+  },
+  pro: {
+    daily_application_cap: 100,
+    job_platforms: ['linkedin', 'indeed', 'glassdoor'],
+    max_concurrent_tasks: 2,
+    beta_channel: false,
+  },
+  unlimited: {
+    daily_application_cap: null,
+    job_platforms: JOB_PLATFORMS,
+    max_concurrent_tasks: 4,
+    beta_channel: true,
+  },
+};
+
+function toCount(value, { allowNull = false } = {}) {
+  if (value === null && allowNull) return { ok: true, value: null };
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) return { ok: false };
+  return { ok: true, value: count };
+}
+
+// Validates an override object, keeping only known fields. Throws on bad values
+// so admin writes fail loudly; reads use parseEntitlementOverrides instead.
+function normalizeEntitlementOverrides(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('entitlements must be an object');
+  }
+
+  const overrides = {};
+  if ('daily_application_cap' in input) {
+    const cap = toCount(input.daily_application_cap, { allowNull: true });
+    if (!cap.ok) throw new Error('daily_application_cap must be a non-negative integer or null');
+    overrides.daily_application_cap = cap.value;
+  }
+  if ('job_platforms' in input) {
+    const platforms = Array.isArray(input.job_platforms)
+      ? input.job_platforms.map((platform) => String(platform || '').trim().toLowerCase())
+      : null;
+    if (!platforms || platforms.some((platform) => !JOB_PLATFORMS.includes(platform))) {
+      throw new Error(`job_platforms must be a list drawn from: ${JOB_PLATFORMS.join(', ')}`);
+    }
+    overrides.job_platforms = [...new Set(platforms)];
+  }
+  if ('max_concurrent_tasks' in input) {
+    const tasks = toCount(input.max_concurrent_tasks);
+    if (!tasks.ok || tasks.value < 1) throw new Error('max_concurrent_tasks must be a positive integer');
+    overrides.max_concurrent_tasks = tasks.value;
+  }
+  if ('beta_channel' in input) {
+    if (typeof input.beta_channel !== 'boolean') throw new Error('beta_channel must be true or false');
+    overrides.beta_channel = input.beta_channel;
+  }
+  return overrides;
+}
+
+function parseEntitlementOverrides(metadata = {}) {
+  const raw = String(metadata.license_entitlements || '').trim();
+  if (!raw) return {};
+  try {
+    return normalizeEntitlementOverrides(JSON.parse(raw));
+  } catch (err) {
+    console.warn('Ignoring invalid license_entitlements metadata:', err?.message || String(err));
+    return {};
+  }
+}
+
+function getEntitlements(metadata = {}, tier = '') {
+  const base = TIER_ENTITLEMENTS[tier] || TIER_ENTITLEMENTS.basic;
+  return {
+    ...base,
+    job_platforms: [...base.job_platforms],
+    ...parseEntitlementOverrides(metadata),
+  };
+}
+
+module.exports = {
+  JOB_PLATFORMS,
+  TIER_ENTITLEMENTS,
+  getEntitlements,
+  parseEntitlementOverrides,
+  normalizeEntitlementOverrides,
+};
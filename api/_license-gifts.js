@@ -0,0 +1,370 @@
+// Gift licenses: a checkout paid by one person for someone else.
+//
+// A gift checkout (/api/create-checkout with `gift`) doesn't license the buyer.
+// The webhook stores an unredeemed gift as its own record (no email, so it never
+// matches a customer lookup) and emails the code to the recipient, who redeems
+// it on /redeem (/api/gift-redeem). Redemption issues, renews or adds a seat to
+// the license on the redeeming email's record, exactly like a purchase would.
+//
+// Gift record metadata:
+//   gift_code (GIFT-XXXX-XXXX-XXXX), gift_status unredeemed | redeemed | void,
+//   gift_plan, gift_plan_slug, gift_tier — what the recipient gets
+//   gift_buyer_id, gift_buyer_email, gift_from_name, gift_message,
+//   gift_recipient_email, gift_recipient_name, gift_checkout_session_id,
+//   gift_payment_intent_id (refunds and disputes find the gift through it),
+//   gift_referral_code (credited when the gift issues a new license, unless
+//   gift_amount_total shows the gift was free),
+//   gift_email_status sent | failed, gift_email_sent_at, gift_email_error,
+//   gift_redeemed_at, gift_redeemed_email, gift_redeemed_by (customer ID),
+//   gift_redeem_nonce, gift_redeem_attempts (claim bookkeeping, see redeemGift),
+//   gift_void_reason refunded | disputed | dispute_lost, gift_voided_at, gift_void_source
+// Buyer metadata: gift_purchase_count, gift_last_purchase_at,
+//   gift_checkout_sessions (recent session IDs, for webhook retries).
+
+const crypto = require('crypto');
+const {
+  licenseStore,
+  cleanText,
+  normalizeEmail,
+  appendRecentId,
+  hasRecentId,
+  buildCheckoutLicensePatch,
+  upsertLicenseRecord,
+  findCustomerById,
+  findCustomerByEmail,
+} = require('./_license-utils');
+const { getPlan } = require('./_plan-catalog');
+const { generateReferralCode, normalizeReferralCode, creditReferral } = require('./_license-referrals');
+const { sendLicenseEmail, buildEmailQueuedPatch } = require('./_license-email');
+const { renderEmail } = require('./_email-templates');
+const { sendEmail } = require('./_email-transport');
+
+const GIFT_CODE_PATTERN = /^GIFT-[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/;
+const GIFT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GIFT_MESSAGE_MAX = 300;
+
+function getRedeemUrl(code = '', giftId = '') {
+  const base = `${process.env.SITE_URL || 'https://www.hyperfect.dev'}/redeem`;
+  if (!code) return base;
+  return `${base}?code=${encodeURIComponent(code)}${giftId ? `&gift=${encodeURIComponent(giftId)}` : ''}`;
+}
+
+function emailLooksValid(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+function generateGiftCode() {
+  const bytes = crypto.randomBytes(12);
+  let code = '';
+  for (const byte of bytes) code += GIFT_CODE_ALPHABET[byte % GIFT_CODE_ALPHABET.length];
+  return `GIFT-${code.slice(0, 4)}-${code.slice(4, 8)}-${code.slice(8, 12)}`;
+}
+
+function normalizeGiftCode(value) {
+  const code = cleanText(value, 32).toUpperCase();
+  return GIFT_CODE_PATTERN.test(code) ? code : '';
+}
+
+// `giftId` (from the emailed link) reads the record directly; the code must
+// still match it. Without one, the code is looked up through the store's search.
+async function findGiftByCode(rawCode, { giftId = '' } = {}) {
+  const code = normalizeGiftCode(rawCode);
+  if (!code) return null;
+  const id = cleanText(giftId, 64);
+  if (id) {
+    const byId = await licenseStore.getById(id);
+    if (byId && !byId.deleted && byId.metadata?.gift_code === code) return byId;
+  }
+  const [gift] = await licenseStore.listByMetadata('gift_code', code, { limit: 1 });
+  return gift && !gift.deleted ? gift : null;
+}
+
+async function findGiftByCheckoutSession(sessionId) {
+  if (!sessionId) return null;
+  const [gift] = await licenseStore.listByMetadata('gift_checkout_session_id', sessionId, { limit: 1 });
+  return gift || null;
+}
+
+async function findGiftByPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const [gift] = await licenseStore.listByMetadata('gift_payment_intent_id', paymentIntentId, { limit: 1 });
+  return gift || null;
+}
+
+// A refunded or disputed gift that hasn't been redeemed can no longer be redeemed.
+async function voidGift(gift, { reason, source = '' }) {
+  const updated = await licenseStore.update(gift.id, {
+    gift_status: 'void',
+    gift_void_reason: reason,
+    gift_voided_at: new Date().toISOString(),
+    gift_void_source: source,
+  });
+  console.log(`Gift ${gift.metadata?.gift_code} voided (${reason})`);
+  return updated;
+}
+
+// Give a voided gift back, e.g. after the dispute that voided it was won.
+async function restoreGift(gift, { source = '' } = {}) {
+  const updated = await licenseStore.update(gift.id, {
+    gift_status: 'unredeemed',
+    gift_void_reason: '',
+    gift_voided_at: '',
+    gift_void_source: source,
+  });
+  console.log(`Gift ${gift.metadata?.gift_code} restored`);
+  return updated;
+}
+
+// What the buyer sees in their dashboard and on the success page.
+function mapGift(gift) {
+  const metadata = gift?.metadata || {};
+  return {
+    code: metadata.gift_code || '',
+    status: metadata.gift_status || 'unredeemed',
+    plan: metadata.gift_plan || '',
+    plan_slug: metadata.gift_plan_slug || '',
+    plan_name: getPlan(metadata.gift_plan_slug)?.name || '',
+    tier: metadata.gift_tier || '',
+    recipient_email: metadata.gift_recipient_email || '',
+    recipient_name: metadata.gift_recipient_name || '',
+    created_at: metadata.gift_created_at || null,
+    email_status: metadata.gift_email_status || '',
+    redeemed_at: metadata.gift_redeemed_at || null,
+    redeemed_email: metadata.gift_redeemed_email || '',
+  };
+}
+
+// What anyone holding the code sees before redeeming: no buyer or recipient email.
+function mapGiftPreview(gift) {
+  const metadata = gift?.metadata || {};
+  return {
+    code: metadata.gift_code || '',
+    status: metadata.gift_status || 'unredeemed',
+    plan_name: getPlan(metadata.gift_plan_slug)?.name || '',
+    tier: metadata.gift_tier || '',
+    from_name: metadata.gift_from_name || '',
+    message: metadata.gift_message || '',
+  };
+}
+
+async function listGiftsForBuyer(buyerId, { limit = 50 } = {}) {
+  if (!buyerId) return [];
+  const gifts = await licenseStore.listByMetadata('gift_buyer_id', buyerId, { limit });
+  return gifts
+    .map(mapGift)
+    .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+}
+
+// Store the gift for a completed gift checkout. Returns { gift, created }; a
+// webhook retry for the same session returns the existing gift, created: false.
+async function createGiftFromCheckout({ session, plan, catalogPlan = null }) {
+  const sessionMetadata = session.metadata || {};
+  const buyerEmail = normalizeEmail(session.customer_email || session.customer_details?.email || '');
+
+  const existingGift = await findGiftByCheckoutSession(session.id);
+  if (existingGift) return { gift: existingGift, created: false };
+  let buyer = session.customer ? await findCustomerById(session.customer) : null;
+  if (!buyer && buyerEmail) buyer = await findCustomerByEmail(buyerEmail);
+  if (buyer && hasRecentId(buyer.metadata?.gift_checkout_sessions, session.id)) {
+    return { gift: null, created: false };
+  }
+
+  // The gift is stored before the buyer is marked, so a crash in between can
+  // only lead to a retry storing a second gift, never to a lost one.
+  const code = generateGiftCode();
+  const gift = await licenseStore.create({
+    name: `Nexus gift ${code}`,
+    metadata: {
+      gift_code: code,
+      gift_status: 'unredeemed',
+      gift_plan: plan,
+      gift_plan_slug: catalogPlan?.slug || '',
+      gift_tier: catalogPlan?.tier || '',
+      gift_buyer_id: buyer?.id || '',
+      gift_buyer_email: buyerEmail,
+      gift_from_name: cleanText(sessionMetadata.gift_from_name || session.customer_details?.name || '', 80),
+      gift_message: cleanText(sessionMetadata.gift_message, GIFT_MESSAGE_MAX),
+      gift_recipient_email: normalizeEmail(sessionMetadata.gift_recipient_email),
+      gift_recipient_name: cleanText(sessionMetadata.gift_recipient_name, 80),
+      gift_checkout_session_id: session.id,
+      gift_payment_intent_id: typeof session.payment_intent === 'string'
+        ? session.payment_intent
+        : session.payment_intent?.id || '',
+      gift_referral_code: normalizeReferralCode(sessionMetadata.referral_code),
+      gift_amount_total: String(session.amount_total ?? ''),
+      gift_created_at: new Date().toISOString(),
+    },
+  });
+
+  const stored = await upsertLicenseRecord(
+    { customerId: buyer?.id || session.customer || '', email: buyerEmail },
+    (metadata) => ({
+      gift_purchase_count: String((parseInt(metadata.gift_purchase_count || '0', 10) || 0) + 1),
+      gift_last_purchase_at: new Date().toISOString(),
+      gift_checkout_sessions: appendRecentId(metadata.gift_checkout_sessions, session.id),
+    })
+  );
+  if (stored && !buyer) {
+    return { gift: await licenseStore.update(gift.id, { gift_buyer_id: stored.customer.id }), created: true };
+  }
+  return { gift, created: true };
+}
+
+// Email the gift code to its recipient and record the outcome on the gift.
+async function sendGiftEmail(gift) {
+  const metadata = gift?.metadata || {};
+  if (!metadata.gift_recipient_email) return { ok: false, error: 'Gift has no recipient email' };
+
+  const rendered = renderEmail('gift_license', {
+    giftCode: metadata.gift_code,
+    redeemUrl: getRedeemUrl(metadata.gift_code, gift.id),
+    recipientName: metadata.gift_recipient_name || '',
+    fromName: metadata.gift_from_name || '',
+    message: metadata.gift_message || '',
+    planName: getPlan(metadata.gift_plan_slug)?.name || '',
+  });
+  const result = await sendEmail({ to: metadata.gift_recipient_email, ...rendered });
+
+  await licenseStore.update(gift.id, result.ok
+    ? { gift_email_status: 'sent', gift_email_sent_at: new Date().toISOString(), gift_email_error: '' }
+    : { gift_email_status: 'failed', gift_email_error: String(result.error || '').slice(0, 200) });
+  return result.ok ? { ok: true, id: result.id || '' } : { ok: false, error: String(result.error || '').slice(0, 200) };
+}
+
+// Undo a claim so the gift can be redeemed again (under the next claim key).
+async function releaseGift(gift, attempts) {
+  await licenseStore.update(gift.id, {
+    gift_status: 'unredeemed',
+    gift_redeemed_at: '',
+    gift_redeemed_email: '',
+    gift_redeem_nonce: '',
+    gift_redeem_attempts: String(attempts + 1),
+  }).catch(() => {});
+}
+
+// Redeem a gift onto the license record for `email` (created if needed) and email
+// the resulting license key there. Returns { status, ... } for the endpoint; the
+// key itself is only ever emailed, since the email may belong to an existing license.
+//
+// The gift is claimed before anything is issued: the claim key is fixed per
+// attempt (gift_redeem_attempts) and the patch carries a fresh nonce, so of two
+// concurrent redemptions only one claim goes through (licenseStore.claim).
+async function redeemGift({ code, email, giftId = '' }) {
+  const recipientEmail = normalizeEmail(email);
+  if (!emailLooksValid(recipientEmail)) {
+    return { status: 400, error: 'A valid email address is required' };
+  }
+  const found = await findGiftByCode(code, { giftId });
+  if (!found) return { status: 404, error: 'Gift code not found' };
+  // Search results can be a minute stale; the claim decision uses the record itself.
+  const gift = await licenseStore.getById(found.id);
+  if (!gift || gift.deleted) return { status: 404, error: 'Gift code not found' };
+
+  const giftMetadata = gift.metadata || {};
+  if (giftMetadata.gift_status === 'redeemed') {
+    return { status: 409, error: 'This gift has already been redeemed' };
+  }
+  if (giftMetadata.gift_status === 'void') {
+    return { status: 410, error: 'This gift is no longer valid' };
+  }
+  const existing = await findCustomerByEmail(recipientEmail);
+  if (existing?.metadata?.license_revoked === 'true') {
+    return { status: 409, error: 'The license for this email is revoked. Contact support to redeem this gift.' };
+  }
+
+  // Claim the gift first; if issuing the license fails it is released again and
+  // the next attempt claims under a new key.
+  const attempts = parseInt(giftMetadata.gift_redeem_attempts || '0', 10) || 0;
+  const nonce = crypto.randomBytes(8).toString('hex');
+  try {
+    await licenseStore.claim(gift.id, {
+      gift_status: 'redeemed',
+      gift_redeemed_at: new Date().toISOString(),
+      gift_redeemed_email: recipientEmail,
+      gift_redeem_nonce: nonce,
+    }, `gift-redeem:${gift.id}:${attempts}`);
+  } catch (err) {
+    if (err?.code === 'claim_conflict') {
+      return { status: 409, error: 'This gift has already been redeemed' };
+    }
+    throw err;
+  }
+
+  let result = null;
+  let stored = null;
+  try {
+    stored = await upsertLicenseRecord({ email: recipientEmail }, (metadata) => {
+      result = buildCheckoutLicensePatch(metadata, giftMetadata.gift_plan || 'lifetime', {
+        sessionId: giftMetadata.gift_checkout_session_id,
+        tier: giftMetadata.gift_tier,
+        planSlug: giftMetadata.gift_plan_slug,
+        purchaseRef: giftMetadata.gift_payment_intent_id,
+      });
+      if (result.outcome === 'duplicate' || result.outcome === 'seat_capped') return {};
+      return {
+        ...result.patch,
+        ...(result.outcome === 'issued' && !metadata.license_referral_code
+          ? { license_referral_code: generateReferralCode() }
+          : {}),
+        license_gift_code: giftMetadata.gift_code,
+        ...buildEmailQueuedPatch('license'),
+      };
+    });
+  } catch (err) {
+    await releaseGift(gift, attempts);
+    throw err;
+  }
+  if (result.outcome === 'seat_capped') {
+    await releaseGift(gift, attempts);
+    return {
+      status: 409,
+      error: 'The license for this email already has the most machines a license can have. Redeem this gift with another email.',
+    };
+  }
+
+  const customer = stored.customer;
+  await licenseStore.update(gift.id, { gift_redeemed_by: customer.id });
+  console.log(`Gift ${giftMetadata.gift_code} redeemed by ${customer.id} (${result.outcome})`);
+
+  const referralCode = normalizeReferralCode(giftMetadata.gift_referral_code);
+  if (result.outcome === 'issued' && referralCode && giftMetadata.gift_amount_total !== '0') {
+    await creditReferral({ code: referralCode, referee: customer }).catch((err) => {
+      console.error(`Referral credit failed for gift ${giftMetadata.gift_code}:`, err?.message || String(err));
+    });
+  }
+
+  const emailResult = await sendLicenseEmail(
+    recipientEmail,
+    result.licenseKey,
+    customer.metadata?.plan || giftMetadata.gift_plan,
+    customer.id,
+    customer.metadata?.license_expires_at || ''
+  );
+
+  return {
+    status: 200,
+    outcome: result.outcome,
+    email: recipientEmail,
+    plan: customer.metadata?.plan || giftMetadata.gift_plan,
+    email_sent: !!emailResult.ok,
+  };
+}
+
+module.exports = {
+  GIFT_MESSAGE_MAX,
+  getRedeemUrl,
+  emailLooksValid,
+  generateGiftCode,
+  normalizeGiftCode,
+  findGiftByCode,
+  findGiftByCheckoutSession,
+  findGiftByPaymentIntent,
+  voidGift,
+  restoreGift,
+  mapGift,
+  mapGiftPreview,
+  listGiftsForBuyer,
+  createGiftFromCheckout,
+  sendGiftEmail,
+  redeemGift,
+};
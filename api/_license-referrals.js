@@ -0,0 +1,270 @@
+// Referral codes tied to licenses.
+//
+// Every licensed customer gets a code (license_referral_code, e.g. REF-7K3QP9),
+// issued with new licenses and lazily for older ones when they open the license
+// dashboard. The share link is ${SITE_URL}/?ref=CODE; the landing page carries
+// the code through the waitlist invite, and /api/create-checkout accepts it as
+// `ref`. Either way it ends up in checkout session metadata.referral_code.
+//
+// When a paid checkout issues a new license, the webhook credits the referrer once.
+// Free checkouts (subscription trials, beta invites) only park the code on the
+// referee (license_referral_pending) until their first paid invoice; a trial
+// cancelled before then never credits anyone. The reward is:
+//   time-limited license (trial/annual) — expiry extended by REFERRAL_REWARD_DAYS
+//   subscription                       — REFERRAL_COUPON_ID applied to the subscription
+//   lifetime                           — one extra seat, up to REFERRAL_MAX_BONUS_SEATS
+//
+// Referrer metadata: license_referrer ('true' once credited, used by the admin
+// report), license_referral_count, license_referral_rewarded,
+// license_referral_last_at, license_referral_last_reward,
+// license_referral_bonus_seats (seats earned, capped separately from purchases),
+// license_referral_coupons (credited referrals the subscription coupon stands for).
+// Referee metadata: license_referred_by (code), license_referrer_id,
+// license_referral_reward (what the referrer got), license_referral_pending,
+// license_referral_reversed_at, license_referral_reversed_reason.
+//
+// Refunding the referee's purchase (or losing a dispute on it) takes the reward
+// back from the referrer (reverseReferral); the referrer's
+// license_referral_reversed counts those. The coupon never replaces another
+// discount on the subscription (that referral earns nothing), and only comes
+// off with the last referral it stands for.
+//
+// Environment Variables:
+//   REFERRAL_REWARD_DAYS — expiry extension per referral (default 30)
+//   REFERRAL_COUPON_ID   — Stripe coupon for subscription referrers (optional)
+
+const crypto = require('crypto');
+const {
+  stripe,
+  licenseStore,
+  cleanText,
+  normalizeEmail,
+  getLicenseStatus,
+  buildExpiryExtensionPatch,
+} = require('./_license-utils');
+
+const REFERRAL_CODE_PATTERN = /^REF-[A-Z2-9]{6}$/;
+// No 0/O/1/I so codes survive being read aloud in Discord.
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_MAX_BONUS_SEATS = 2;
+
+function getRewardDays() {
+  return Math.max(1, parseInt(process.env.REFERRAL_REWARD_DAYS || '30', 10) || 30);
+}
+
+function generateReferralCode() {
+  const bytes = crypto.randomBytes(6);
+  let code = '';
+  for (const byte of bytes) code += REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length];
+  return `REF-${code}`;
+}
+
+function normalizeReferralCode(value) {
+  const code = cleanText(value, 16).toUpperCase();
+  return REFERRAL_CODE_PATTERN.test(code) ? code : '';
+}
+
+async function findReferrerByCode(rawCode) {
+  const code = normalizeReferralCode(rawCode);
+  if (!code) return null;
+  const [referrer] = await licenseStore.listByMetadata('license_referral_code', code, { limit: 1 });
+  return referrer && !referrer.deleted ? referrer : null;
+}
+
+// Give a licensed customer a referral code if they don't have one yet.
+async function ensureReferralCode(customer) {
+  const metadata = customer?.metadata || {};
+  if (!metadata.license_key || metadata.license_referral_code) return customer;
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const code = generateReferralCode();
+    if (await findReferrerByCode(code)) continue;
+    return licenseStore.update(customer.id, { license_referral_code: code });
+  }
+  throw new Error('Could not allocate a unique referral code');
+}
+
+// What a referral earns the referrer, as { reward, patch }. Subscription rewards
+// are applied in Stripe by creditReferral.
+function buildReferralRewardPatch(metadata = {}) {
+  if (metadata.license_revoked === 'true' || getLicenseStatus(metadata) !== 'active') {
+    return { reward: 'none', patch: {} };
+  }
+
+  if (metadata.license_expires_at) {
+    const days = getRewardDays();
+    return {
+      reward: `extended_${days}d`,
+      patch: buildExpiryExtensionPatch(metadata, { days, actor: 'referral' }),
+    };
+  }
+
+  if (metadata.plan === 'subscription') {
+    return { reward: process.env.REFERRAL_COUPON_ID ? 'coupon' : 'none', patch: {} };
+  }
+
+  const bonusSeats = parseInt(metadata.license_referral_bonus_seats || '0', 10) || 0;
+  if (bonusSeats >= REFERRAL_MAX_BONUS_SEATS) return { reward: 'none', patch: {} };
+  const seats = Math.max(1, parseInt(metadata.license_seats || '1', 10) || 1);
+  return {
+    reward: 'seat_added',
+    patch: { license_seats: String(seats + 1), license_referral_bonus_seats: String(bonusSeats + 1) },
+  };
+}
+
+// Credit the referrer behind `code` for a newly licensed `referee`. Each referee
+// counts once, and nobody can refer themselves.
+async function creditReferral({ code, referee }) {
+  const referrer = await findReferrerByCode(code);
+  if (!referrer) return { credited: false, reason: 'unknown_code' };
+
+  const refereeMetadata = referee?.metadata || {};
+  if (referrer.id === referee.id || normalizeEmail(referrer.email) === normalizeEmail(referee.email)) {
+    return { credited: false, reason: 'self_referral' };
+  }
+  if (refereeMetadata.license_referred_by) {
+    return { credited: false, reason: 'already_referred' };
+  }
+
+  const metadata = referrer.metadata || {};
+  let { reward, patch } = buildReferralRewardPatch(metadata);
+  if (reward === 'coupon') {
+    try {
+      if (!metadata.license_subscription_id) throw new Error('referrer has no subscription on record');
+      const subscription = await stripe.subscriptions.retrieve(metadata.license_subscription_id);
+      const currentCoupon = subscription.discount?.coupon?.id || '';
+      if (currentCoupon && currentCoupon !== process.env.REFERRAL_COUPON_ID) {
+        throw new Error(`subscription already has discount ${currentCoupon}`);
+      }
+      await stripe.subscriptions.update(metadata.license_subscription_id, { coupon: process.env.REFERRAL_COUPON_ID });
+    } catch (err) {
+      console.error(`Referral coupon for ${referrer.id} failed:`, err?.message || String(err));
+      reward = 'none';
+    }
+  }
+
+  await licenseStore.update(referee.id, {
+    license_referred_by: normalizeReferralCode(code),
+    license_referrer_id: referrer.id,
+    license_referral_reward: reward,
+    license_referral_pending: '',
+  });
+  await licenseStore.update(referrer.id, {
+    ...patch,
+    ...(reward === 'coupon'
+      ? { license_referral_coupons: String((parseInt(metadata.license_referral_coupons || '0', 10) || 0) + 1) }
+      : {}),
+    license_referrer: 'true',
+    license_referral_count: String((parseInt(metadata.license_referral_count || '0', 10) || 0) + 1),
+    license_referral_rewarded: String(
+      (parseInt(metadata.license_referral_rewarded || '0', 10) || 0) + (reward === 'none' ? 0 : 1)
+    ),
+    license_referral_last_at: new Date().toISOString(),
+    license_referral_last_reward: reward,
+  });
+
+  console.log(`Referral ${normalizeReferralCode(code)}: ${referee.id} credited to ${referrer.id} (${reward})`);
+  return { credited: true, referrer_id: referrer.id, reward };
+}
+
+// Metadata patch that undoes `reward` on the referrer's license.
+function buildReferralReversalPatch(metadata = {}, reward) {
+  const days = /^extended_(\d+)d$/.exec(reward || '');
+  if (days) {
+    const expiryMs = Date.parse(metadata.license_expires_at || '');
+    if (Number.isNaN(expiryMs)) return {};
+    return {
+      license_expires_at: new Date(expiryMs - Number(days[1]) * 24 * 60 * 60 * 1000).toISOString(),
+      license_expiry_updated_at: new Date().toISOString(),
+      license_expiry_updated_by: 'referral_reversal',
+    };
+  }
+  if (reward === 'seat_added') {
+    const bonusSeats = parseInt(metadata.license_referral_bonus_seats || '0', 10) || 0;
+    if (!bonusSeats) return {};
+    const seats = Math.max(1, parseInt(metadata.license_seats || '1', 10) || 1);
+    return { license_seats: String(Math.max(1, seats - 1)), license_referral_bonus_seats: String(bonusSeats - 1) };
+  }
+  return {};
+}
+
+// Drop the referral coupon from a subscription, leaving any other discount alone.
+async function removeReferralCoupon(subscriptionId, referrerId) {
+  try {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    const couponId = subscription.discount?.coupon?.id || '';
+    if (!couponId || couponId !== process.env.REFERRAL_COUPON_ID) {
+      console.log(`Subscription ${subscriptionId} of ${referrerId} has no referral coupon to remove`);
+      return;
+    }
+    await stripe.subscriptions.deleteDiscount(subscriptionId);
+  } catch (err) {
+    console.error(`Referral coupon removal for ${referrerId} failed:`, err?.message || String(err));
+  }
+}
+
+// Take back what `referee` earned their referrer, e.g. when the referee's purchase
+// is refunded. Each referee is reversed at most once.
+async function reverseReferral({ referee, reason = '' }) {
+  const refereeMetadata = referee?.metadata || {};
+  if (!refereeMetadata.license_referrer_id || refereeMetadata.license_referral_reversed_at) {
+    return { reversed: false, reason: 'not_credited' };
+  }
+
+  const reward = refereeMetadata.license_referral_reward || '';
+  const referrer = await licenseStore.getById(refereeMetadata.license_referrer_id);
+  await licenseStore.update(referee.id, {
+    license_referral_reversed_at: new Date().toISOString(),
+    license_referral_reversed_reason: cleanText(reason, 40),
+  });
+  if (!referrer || referrer.deleted) return { reversed: true, reward };
+
+  const metadata = referrer.metadata || {};
+  const coupons = parseInt(metadata.license_referral_coupons || '0', 10) || 0;
+  if (reward === 'coupon' && coupons === 1 && metadata.license_subscription_id) {
+    await removeReferralCoupon(metadata.license_subscription_id, referrer.id);
+  }
+  const rewarded = parseInt(metadata.license_referral_rewarded || '0', 10) || 0;
+  await licenseStore.update(referrer.id, {
+    ...buildReferralReversalPatch(metadata, reward),
+    ...(reward === 'coupon' && coupons ? { license_referral_coupons: String(coupons - 1) } : {}),
+    license_referral_rewarded: String(Math.max(0, rewarded - (reward && reward !== 'none' ? 1 : 0))),
+    license_referral_reversed: String((parseInt(metadata.license_referral_reversed || '0', 10) || 0) + 1),
+  });
+
+  console.log(`Referral by ${referee.id} reversed for ${referrer.id} (${reward || 'none'}, ${reason})`);
+  return { reversed: true, referrer_id: referrer.id, reward };
+}
+
+// Admin report: referrers with at least one credited referral, most referrals first.
+async function listTopReferrers({ limit = 25 } = {}) {
+  const referrers = await licenseStore.listByMetadata('license_referrer', 'true', { limit: 500 });
+  return referrers
+    .map((customer) => {
+      const metadata = customer.metadata || {};
+      return {
+        customer_id: customer.id,
+        email: customer.email || '',
+        code: metadata.license_referral_code || '',
+        referrals: parseInt(metadata.license_referral_count || '0', 10) || 0,
+        rewarded: parseInt(metadata.license_referral_rewarded || '0', 10) || 0,
+        reversed: parseInt(metadata.license_referral_reversed || '0', 10) || 0,
+        last_referral_at: metadata.license_referral_last_at || null,
+        last_reward: metadata.license_referral_last_reward || '',
+      };
+    })
+    .sort((a, b) => b.referrals - a.referrals || String(b.last_referral_at).localeCompare(String(a.last_referral_at)))
+    .slice(0, limit);
+}
+
+module.exports = {
+  generateReferralCode,
+  normalizeReferralCode,
+  findReferrerByCode,
+  ensureReferralCode,
+  buildReferralRewardPatch,
+  creditReferral,
+  buildReferralReversalPatch,
+  reverseReferral,
+  listTopReferrers,
+};
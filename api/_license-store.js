@@ -0,0 +1,619 @@
+// License storage backends.
+//
+// Every license read/write goes through one of these stores. Records are
+// customer-shaped ({ id, email, name, created, metadata }) so callers don't
+// care which backend is active.
+//
+//   LICENSE_STORE=stripe (default) — Stripe customer metadata
+//   LICENSE_STORE=file             — local JSON file for offline dev/tests
+//   LICENSE_STORE_PATH             — file backend location (default .data/licenses.json)
+//
+// Metadata patches follow Stripe semantics: keys are merged into the existing
+// metadata and an empty string removes the key.
+//
+// Lookups by license key, hardware ID and Discord ID go through an index
+// rather than a customer scan. Stripe uses Customer Search (eventually
+// consistent, ~1 minute) backed by a write-through in-memory index for records
+// this instance has touched; the paged scan only runs if Search is unavailable.
+// A license key issued on another instance within the last minute isn't
+// searchable yet, so a Search miss for a key also checks the customer events
+// of the last RECENT_WRITE_WINDOW_MS (a bounded read, whatever the customer
+// count). Keys found there neither are remembered for MISS_TTL_MS.
+//
+// listByMetadata(key, value, { limit }) returns every record whose metadata[key]
+// equals value (used for work queues such as the email outbox).
+//
+// listPage({ startingAfter, limit }) returns one page of records, { data, has_more },
+// for callers that resume a scan across requests (the waitlist admin list and
+// CSV export). update(id, patch, { name }) can also rename the record.
+//
+// claim(id, patch, claimKey) applies a patch at most once per claim key: a
+// second claim under the same key with a different patch (a concurrent
+// claimant) fails with err.code === 'claim_conflict'. Stripe enforces this with
+// the request idempotency key (kept for 24 hours), so callers put a fresh nonce
+// in the patch and re-check the record's state before claiming.
+//
+// remove(id) deletes a record outright. Only for records nothing else refers to
+// (e.g. waitlist signups that were never verified).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ACTIVE_SUB_STATUSES = new Set(['active', 'trialing', 'past_due']);
+// Bound machines live in numbered metadata slots; slot 1 keeps the original
+// un-suffixed keys so single-machine records read unchanged.
+const MACHINE_SLOTS = 5;
+const DEFAULT_FILE_PATH = path.join(process.cwd(), '.data', 'licenses.json');
+const MISS_TTL_MS = 5 * 60 * 1000;
+const RECENT_WRITE_WINDOW_MS = 3 * 60 * 1000;
+const RECENT_WRITE_MAX_PAGES = 3;
+const MISS_CACHE_MAX = 1000;
+
+function lower(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function linkedDiscordId(metadata = {}) {
+  return String(metadata.license_discord_user_id || metadata.discord_user_id || '').trim();
+}
+
+function machineSlotKeys(slot) {
+  const suffix = slot > 1 ? `_${slot}` : '';
+  return {
+    hardwareId: `license_hardware_id${suffix}`,
+    boundAt: `license_hardware_bound_at${suffix}`,
+    lastSeenAt: `license_hardware_last_seen_at${suffix}`,
+  };
+}
+
+function hardwareIdKeys() {
+  const keys = [];
+  for (let slot = 1; slot <= MACHINE_SLOTS; slot += 1) keys.push(machineSlotKeys(slot).hardwareId);
+  return keys;
+}
+
+function stringifyMetadata(metadata = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(metadata || {})) {
+    out[key] = typeof value === 'string' ? value : String(value ?? '');
+  }
+  return out;
+}
+
+function applyMetadataPatch(current = {}, patch = {}) {
+  const next = { ...current };
+  for (const [key, value] of Object.entries(stringifyMetadata(patch))) {
+    if (value === '') delete next[key];
+    else next[key] = value;
+  }
+  return next;
+}
+
+// ──── Secondary index ────
+
+const INDEXED_FIELDS = {
+  license_key: (metadata) => [metadata.license_key],
+  hardware_id: (metadata) => hardwareIdKeys().map((key) => metadata[key]),
+  discord_user_id: (metadata) => [linkedDiscordId(metadata)],
+};
+
+const MATCHERS = {
+  license_key: (metadata, value) => metadata.license_key === value,
+  hardware_id: (metadata, value) => INDEXED_FIELDS.hardware_id(metadata).includes(value),
+  discord_user_id: (metadata, value) => linkedDiscordId(metadata) === value,
+};
+
+function indexValues(field, metadata = {}) {
+  return INDEXED_FIELDS[field](metadata || {})
+    .map((value) => String(value || '').trim())
+    .filter(Boolean);
+}
+
+// Maps indexed metadata values to record IDs. put() replaces whatever the
+// record was indexed under before, so every write keeps it in sync.
+function createLicenseIndex() {
+  const byField = new Map(Object.keys(INDEXED_FIELDS).map((field) => [field, new Map()]));
+  const entriesById = new Map();
+
+  function remove(id) {
+    const previous = entriesById.get(id) || [];
+    for (const [field, value] of previous) {
+      const values = byField.get(field);
+      if (values.get(value) === id) values.delete(value);
+    }
+    entriesById.delete(id);
+  }
+
+  function put(record) {
+    if (!record?.id) return;
+    remove(record.id);
+    if (record.deleted) return;
+
+    const entries = [];
+    for (const field of Object.keys(INDEXED_FIELDS)) {
+      for (const value of indexValues(field, record.metadata)) {
+        byField.get(field).set(value, record.id);
+        entries.push([field, value]);
+      }
+    }
+    entriesById.set(record.id, entries);
+  }
+
+  return {
+    get: (field, value) => byField.get(field)?.get(value) || '',
+    put,
+    remove,
+    clear() {
+      for (const values of byField.values()) values.clear();
+      entriesById.clear();
+    },
+  };
+}
+
+function claimConflictError(claimKey) {
+  const err = new Error(`Claim ${claimKey} is already taken`);
+  err.code = 'claim_conflict';
+  return err;
+}
+
+function searchLiteral(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// ──── Stripe customer metadata ────
+
+// Fields whose Search misses are checked against recent customer writes.
+const RECENT_WRITE_FIELDS = new Set(['license_key']);
+
+function createStripeLicenseStore(stripe) {
+  const index = createLicenseIndex();
+  // `${field}:${value}` -> when recent writes last failed to find it.
+  const misses = new Map();
+
+  function recentMiss(field, value) {
+    const at = misses.get(`${field}:${value}`);
+    if (at && Date.now() - at < MISS_TTL_MS) return true;
+    misses.delete(`${field}:${value}`);
+    return false;
+  }
+
+  function rememberMiss(field, value) {
+    misses.set(`${field}:${value}`, Date.now());
+    if (misses.size > MISS_CACHE_MAX) misses.delete(misses.keys().next().value);
+  }
+
+  async function list(eachCustomer) {
+    let hasMore = true;
+    let startingAfter = undefined;
+
+    while (hasMore) {
+      const params = { limit: 100 };
+      if (startingAfter) params.starting_after = startingAfter;
+
+      const customers = await stripe.customers.list(params);
+      for (const customer of customers.data || []) {
+        index.put(customer);
+        const shouldStop = await eachCustomer(customer);
+        if (shouldStop) return;
+      }
+
+      hasMore = !!customers.has_more;
+      if (customers.data && customers.data.length > 0) {
+        startingAfter = customers.data[customers.data.length - 1].id;
+      } else {
+        hasMore = false;
+      }
+    }
+  }
+
+  async function getById(id) {
+    if (!id) return null;
+    try {
+      const customer = await stripe.customers.retrieve(id);
+      if (!customer || customer.deleted) {
+        index.remove(id);
+        return null;
+      }
+      index.put(customer);
+      return customer;
+    } catch (err) {
+      if (err?.code === 'resource_missing') {
+        index.remove(id);
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async function search(query, matches) {
+    const result = await stripe.customers.search({ query, limit: 10 });
+    for (const customer of result.data || []) {
+      if (customer.deleted) continue;
+      index.put(customer);
+      if (matches(customer.metadata || {})) return customer;
+    }
+    return null;
+  }
+
+  async function scan(matches) {
+    let found = null;
+    await list(async (customer) => {
+      if (matches(customer?.metadata || {})) {
+        found = customer;
+        return true;
+      }
+      return false;
+    });
+    return found;
+  }
+
+  // Customers created or updated within RECENT_WRITE_WINDOW_MS that match, re-read
+  // so a key rotated away since doesn't count.
+  async function recentWrite(matches) {
+    const params = {
+      types: ['customer.created', 'customer.updated'],
+      created: { gte: Math.floor((Date.now() - RECENT_WRITE_WINDOW_MS) / 1000) },
+      limit: 100,
+    };
+    for (let page = 0; page < RECENT_WRITE_MAX_PAGES; page += 1) {
+      const events = await stripe.events.list(params);
+      for (const event of events.data || []) {
+        const customer = event.data?.object;
+        if (!customer?.id || !matches(customer.metadata || {})) continue;
+        const current = await getById(customer.id);
+        return current && matches(current.metadata || {}) ? current : null;
+      }
+      if (!events.has_more || !events.data?.length) break;
+      params.starting_after = events.data[events.data.length - 1].id;
+    }
+    return null;
+  }
+
+  async function lookup(field, value, query) {
+    const matches = (metadata) => MATCHERS[field](metadata, value);
+
+    const cachedId = index.get(field, value);
+    if (cachedId) {
+      const cached = await getById(cachedId);
+      if (cached && matches(cached.metadata || {})) return cached;
+    }
+
+    let found = null;
+    try {
+      found = await search(query, matches);
+      if (found || !RECENT_WRITE_FIELDS.has(field)) return found;
+    } catch (err) {
+      console.warn(`Customer search failed for ${field}; falling back to scan:`, err?.message || String(err));
+      return scan(matches);
+    }
+
+    if (recentMiss(field, value)) return null;
+    try {
+      found = await recentWrite(matches);
+    } catch (err) {
+      console.warn(`Recent customer events unavailable for ${field}:`, err?.message || String(err));
+      return null;
+    }
+    if (!found) rememberMiss(field, value);
+    return found;
+  }
+
+  return {
+    name: 'stripe',
+    list,
+    getById,
+
+    async getByKey(key) {
+      if (!key) return null;
+      return lookup('license_key', key, `metadata['license_key']:${searchLiteral(key)}`);
+    },
+
+    async getByHardwareId(hardwareId) {
+      if (!hardwareId) return null;
+      const literal = searchLiteral(hardwareId);
+      return lookup(
+        'hardware_id',
+        hardwareId,
+        hardwareIdKeys().map((key) => `metadata['${key}']:${literal}`).join(' OR ')
+      );
+    },
+
+    async getByEmail(email) {
+      const normalized = lower(email);
+      if (!normalized) return null;
+
+      const result = await stripe.customers.list({ email: normalized, limit: 20 });
+      for (const customer of result.data || []) {
+        if (lower(customer.email) === normalized) {
+          index.put(customer);
+          return customer;
+        }
+      }
+      return null;
+    },
+
+    async getByDiscordUserId(discordUserId) {
+      if (!discordUserId) return null;
+      const literal = searchLiteral(discordUserId);
+      return lookup(
+        'discord_user_id',
+        discordUserId,
+        `metadata['license_discord_user_id']:${literal} OR metadata['discord_user_id']:${literal}`
+      );
+    },
+
+    async listPage({ startingAfter = null, limit = 100 } = {}) {
+      const page = await stripe.customers.list({
+        limit: Math.min(100, limit),
+        ...(startingAfter ? { starting_after: startingAfter } : {}),
+      });
+      for (const customer of page.data || []) index.put(customer);
+      return { data: page.data || [], has_more: !!page.has_more };
+    },
+
+    async create({ email = '', name = '', description = '', metadata = {} } = {}) {
+      const customer = await stripe.customers.create({
+        email: email || undefined,
+        name: name || undefined,
+        description: description || undefined,
+        metadata: stringifyMetadata(metadata),
+      });
+      index.put(customer);
+      return customer;
+    },
+
+    async update(id, patch = {}, { name = '' } = {}) {
+      const customer = await stripe.customers.update(id, {
+        ...(name ? { name } : {}),
+        metadata: stringifyMetadata(patch),
+      });
+      index.put(customer);
+      return customer;
+    },
+
+    async claim(id, patch, claimKey) {
+      try {
+        const customer = await stripe.customers.update(
+          id,
+          { metadata: stringifyMetadata(patch) },
+          { idempotencyKey: claimKey }
+        );
+        index.put(customer);
+        return customer;
+      } catch (err) {
+        // Reused with other parameters (idempotency_error), or still in flight (409).
+        if (err?.type === 'StripeIdempotencyError' || err?.rawType === 'idempotency_error' || err?.statusCode === 409) {
+          throw claimConflictError(claimKey);
+        }
+        throw err;
+      }
+    },
+
+    async remove(id) {
+      await stripe.customers.del(id);
+      index.remove(id);
+    },
+
+    async listByMetadata(key, value, { limit = 100 } = {}) {
+      if (!key || !value) return [];
+      const matches = (metadata) => String(metadata?.[key] || '') === String(value);
+      const found = [];
+
+      try {
+        let page = undefined;
+        do {
+          const result = await stripe.customers.search({
+            query: `metadata['${key}']:${searchLiteral(value)}`,
+            limit: Math.min(100, limit),
+            ...(page ? { page } : {}),
+          });
+          for (const customer of result.data || []) {
+            index.put(customer);
+            if (!customer.deleted && matches(customer.metadata)) found.push(customer);
+          }
+          page = result.has_more ? result.next_page : undefined;
+        } while (page && found.length < limit);
+      } catch (err) {
+        console.warn(`Customer search failed for ${key}; falling back to scan:`, err?.message || String(err));
+        found.length = 0;
+        await list(async (customer) => {
+          if (!customer.deleted && matches(customer.metadata)) found.push(customer);
+          return found.length >= limit;
+        });
+      }
+      return found.slice(0, limit);
+    },
+
+    async hasActiveSubscription(customerId) {
+      if (!customerId) return false;
+      const subscriptions = await stripe.subscriptions.list({
+        customer: customerId,
+        status: 'all',
+        limit: 20,
+      });
+      return (subscriptions.data || []).some((sub) => ACTIVE_SUB_STATUSES.has(lower(sub.status)));
+    },
+  };
+}
+
+// ──── Local JSON file ────
+
+function createFileLicenseStore(filePath = DEFAULT_FILE_PATH) {
+  const index = createLicenseIndex();
+  let cache = null;
+  let cacheMtimeMs = -1;
+
+  // Re-read only when the file changed underneath us (another process, a
+  // manual edit); the index is rebuilt alongside the cached snapshot.
+  function load() {
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (err) {
+      if (err?.code !== 'ENOENT') throw err;
+    }
+    if (cache && mtimeMs === cacheMtimeMs) return cache;
+
+    let parsed = null;
+    if (mtimeMs) parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    cache = Array.isArray(parsed?.customers) ? parsed : { customers: [] };
+    if (!cache.claims || typeof cache.claims !== 'object') cache.claims = {};
+    cacheMtimeMs = mtimeMs;
+
+    index.clear();
+    for (const record of cache.customers) index.put(record);
+    return cache;
+  }
+
+  function save(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+    cacheMtimeMs = fs.statSync(filePath).mtimeMs;
+  }
+
+  function getById(id) {
+    if (!id) return null;
+    return load().customers.find((record) => record.id === id) || null;
+  }
+
+  function lookup(field, value) {
+    load();
+    const record = getById(index.get(field, value));
+    return record && MATCHERS[field](record.metadata || {}, value) ? record : null;
+  }
+
+  return {
+    name: 'file',
+    filePath,
+
+    async list(eachRecord) {
+      for (const record of load().customers) {
+        const shouldStop = await eachRecord(record);
+        if (shouldStop) return;
+      }
+    },
+
+    async getById(id) {
+      return getById(id);
+    },
+
+    async listPage({ startingAfter = null, limit = 100 } = {}) {
+      const records = load().customers;
+      const start = startingAfter ? records.findIndex((record) => record.id === startingAfter) + 1 : 0;
+      const data = records.slice(start, start + limit);
+      return { data, has_more: start + limit < records.length };
+    },
+
+    async getByKey(key) {
+      if (!key) return null;
+      return lookup('license_key', key);
+    },
+
+    async getByHardwareId(hardwareId) {
+      if (!hardwareId) return null;
+      return lookup('hardware_id', hardwareId);
+    },
+
+    async getByEmail(email) {
+      const normalized = lower(email);
+      if (!normalized) return null;
+      return load().customers.find((record) => lower(record.email) === normalized) || null;
+    },
+
+    async getByDiscordUserId(discordUserId) {
+      if (!discordUserId) return null;
+      return lookup('discord_user_id', discordUserId);
+    },
+
+    async create({ email = '', name = '', description = '', metadata = {} } = {}) {
+      const data = load();
+      const record = {
+        id: `cus_local_${crypto.randomBytes(8).toString('hex')}`,
+        email: lower(email),
+        name: String(name || ''),
+        ...(description ? { description: String(description) } : {}),
+        created: Math.floor(Date.now() / 1000),
+        metadata: applyMetadataPatch({}, metadata),
+      };
+      data.customers.push(record);
+      save(data);
+      index.put(record);
+      return record;
+    },
+
+    async update(id, patch = {}, { name = '' } = {}) {
+      const data = load();
+      const record = data.customers.find((entry) => entry.id === id);
+      if (!record) throw new Error(`License record not found: ${id}`);
+      if (name) record.name = String(name);
+      record.metadata = applyMetadataPatch(record.metadata || {}, patch);
+      save(data);
+      index.put(record);
+      return record;
+    },
+
+    async claim(id, patch = {}, claimKey) {
+      const data = load();
+      const fingerprint = JSON.stringify(stringifyMetadata(patch));
+      if (claimKey in data.claims && data.claims[claimKey] !== fingerprint) throw claimConflictError(claimKey);
+      const record = data.customers.find((entry) => entry.id === id);
+      if (!record) throw new Error(`License record not found: ${id}`);
+      data.claims[claimKey] = fingerprint;
+      record.metadata = applyMetadataPatch(record.metadata || {}, patch);
+      save(data);
+      index.put(record);
+      return record;
+    },
+
+    async remove(id) {
+      const data = load();
+      data.customers = data.customers.filter((entry) => entry.id !== id);
+      save(data);
+      index.remove(id);
+    },
+
+    async listByMetadata(key, value, { limit = 100 } = {}) {
+      if (!key || !value) return [];
+      return load().customers
+        .filter((record) => String(record.metadata?.[key] || '') === String(value))
+        .slice(0, limit);
+    },
+
+    async hasActiveSubscription(customerId) {
+      const record = getById(customerId);
+      if (!record) return false;
+      // No billing backend offline; honour an explicit status if one was recorded.
+      const status = lower((record.metadata || {}).subscription_status);
+      return !status || ACTIVE_SUB_STATUSES.has(status);
+    },
+  };
+}
+
+let _store = null;
+
+function getLicenseStore() {
+  if (_store) return _store;
+
+  const backend = lower(process.env.LICENSE_STORE) || 'stripe';
+  if (backend === 'file') {
+    _store = createFileLicenseStore(process.env.LICENSE_STORE_PATH || DEFAULT_FILE_PATH);
+  } else if (backend === 'stripe') {
+    _store = createStripeLicenseStore(require('stripe')(process.env.STRIPE_SECRET_KEY));
+  } else {
+    throw new Error(`Unknown LICENSE_STORE backend: ${backend}`);
+  }
+  return _store;
+}
+
+module.exports = {
+  MACHINE_SLOTS,
+  machineSlotKeys,
+  applyMetadataPatch,
+  createLicenseIndex,
+  createStripeLicenseStore,
+  createFileLicenseStore,
+  getLicenseStore,
+};
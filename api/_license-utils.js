@@ -1,8 +1,46 @@
+const crypto = require('crypto');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getLicenseStore, MACHINE_SLOTS, machineSlotKeys } = require('./_license-store');
+const { getOfflineGraceDays, issueActivationCertificate } = require('./_license-certs');
+const { getEntitlements } = require('./_license-entitlements');
+
+const licenseStore = getLicenseStore();
 
 const LICENSE_PATTERN = /^NEXUS-[A-F0-9]{4}-[A-F0-9]{4}-[A-F0-9]{4}-[A-F0-9]{4}$/;
 const MACHINE_RESET_URL = 'https://www.hyperfect.dev/license-dashboard';
-const ACTIVE_SUB_STATUSES = new Set(['active', 'trialing', 'past_due']);
+const LICENSE_RENEW_URL = process.env.LICENSE_RENEW_URL || MACHINE_RESET_URL;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Plans a license can be issued under. durationDays sets license_expires_at at
+// issuance; null means the license never expires on its own (subscriptions are
+// governed by Stripe subscription status instead).
+const LICENSE_PLANS = {
+  trial: { tier: 'pro', durationDays: 14 },
+  annual: { tier: 'unlimited', durationDays: 365 },
+  lifetime: { tier: 'unlimited', durationDays: null },
+  subscription: { tier: 'pro', durationDays: null },
+};
+// Reason codes an admin can revoke a license under. The code is returned to the
+// app by validation; the label is used in customer-facing copy.
+const REVOCATION_REASONS = {
+  fraud: 'Fraudulent purchase',
+  chargeback: 'Payment disputed',
+  refund: 'Purchase refunded',
+  abuse: 'Terms of service violation',
+  key_leak: 'License key shared publicly',
+  other: 'Revoked by support',
+};
+// Billing-driven license state (license_status). '' and 'active' are equivalent;
+// transitions come from the Stripe webhook and carry a reason code.
+const LICENSE_STATUS_MESSAGES = {
+  inactive: 'License is no longer active',
+  suspended: 'License is suspended while a payment dispute is reviewed',
+};
+// Machines a license may be active on at once, unless license_max_machines overrides it.
+const TIER_MAX_MACHINES = {
+  basic: 1,
+  pro: 2,
+  unlimited: 2,
+};
 
 function cleanText(value, maxLen = 256) {
   return String(value || '')
@@ -32,96 +70,404 @@ function maskHardwareId(value) {
 
 function mapPlanToTier(plan) {
   const normalized = cleanText(plan, 32).toLowerCase();
-  if (normalized === 'subscription') return 'pro';
+  if (LICENSE_PLANS[normalized]) return LICENSE_PLANS[normalized].tier;
   if (normalized === 'basic' || normalized === 'pro' || normalized === 'unlimited') {
     return normalized;
   }
   return 'unlimited';
 }
 
-async function listCustomersPaged(eachCustomer) {
-  let hasMore = true;
-  let startingAfter = undefined;
+const LICENSE_TIERS = new Set(['basic', 'pro', 'unlimited']);
 
-  while (hasMore) {
-    const params = { limit: 100 };
-    if (startingAfter) params.starting_after = startingAfter;
+// license_tier (set on subscription plan changes) wins over the plan's default tier.
+function getLicenseTier(metadata = {}) {
+  const explicit = cleanText(metadata.license_tier, 32).toLowerCase();
+  if (LICENSE_TIERS.has(explicit)) return explicit;
+  return mapPlanToTier(metadata.plan || 'lifetime');
+}
 
-    const customers = await stripe.customers.list(params);
-    for (const customer of customers.data || []) {
-      const shouldStop = await eachCustomer(customer);
-      if (shouldStop) return;
-    }
+function getLicenseStatus(metadata = {}) {
+  const status = cleanText(metadata.license_status, 32).toLowerCase();
+  return LICENSE_STATUS_MESSAGES[status] ? status : 'active';
+}
 
-    hasMore = !!customers.has_more;
-    if (customers.data && customers.data.length > 0) {
-      startingAfter = customers.data[customers.data.length - 1].id;
-    } else {
-      hasMore = false;
+// Metadata patch recording a billing-driven status transition. `source` is the
+// Stripe event (type/id) that caused it, so each change can be traced back.
+function buildLicenseStatusPatch(metadata = {}, status, { reason = '', source = '' } = {}) {
+  if (status !== 'active' && !LICENSE_STATUS_MESSAGES[status]) {
+    throw new Error(`Unknown license status: ${status}`);
+  }
+  return {
+    license_status: status === 'active' ? '' : status,
+    license_status_reason: cleanText(reason, 64),
+    license_status_changed_at: new Date().toISOString(),
+    license_status_source: cleanText(source, 120),
+    license_status_previous: getLicenseStatus(metadata),
+  };
+}
+
+// Generate a unique license key: NEXUS-XXXX-XXXX-XXXX-XXXX
+function generateLicenseKey() {
+  const segments = [];
+  for (let i = 0; i < 4; i++) {
+    segments.push(crypto.randomBytes(2).toString('hex').toUpperCase());
+  }
+  return `NEXUS-${segments.join('-')}`;
+}
+
+function computeLicenseExpiry(plan, fromMs = Date.now()) {
+  const definition = LICENSE_PLANS[cleanText(plan, 32).toLowerCase()];
+  if (!definition || !definition.durationDays) return '';
+  return new Date(fromMs + definition.durationDays * DAY_MS).toISOString();
+}
+
+function getLicenseExpiryMs(metadata = {}) {
+  const raw = cleanText(metadata.license_expires_at, 64);
+  if (!raw) return null;
+  const ts = Date.parse(raw);
+  return Number.isNaN(ts) ? null : ts;
+}
+
+// Metadata patch for a freshly issued license under `plan`.
+function buildIssuedLicensePatch(plan, existingMetadata = {}) {
+  const now = Date.now();
+  return {
+    license_key: generateLicenseKey(),
+    license_created: new Date(now).toISOString(),
+    plan,
+    license_expires_at: computeLicenseExpiry(plan, now),
+    ...buildMachineReleasePatch(),
+    license_last_validation_at: '',
+    license_last_app_version: '',
+    license_reset_count: existingMetadata.license_reset_count || '0',
+  };
+}
+
+const RECENT_CHECKOUT_IDS = 8;
+
+function appendRecentId(list, id, max = RECENT_CHECKOUT_IDS) {
+  const ids = String(list || '').split(',').filter(Boolean).filter((existing) => existing !== id);
+  ids.push(id);
+  return ids.slice(-max).join(',');
+}
+
+function hasRecentId(list, id) {
+  return !!id && String(list || '').split(',').includes(id);
+}
+
+// Decides what a completed checkout does to an existing license record so that
+// webhook retries and repeat purchases never replace a working key:
+//   duplicate — this event/session was already applied; nothing to do
+//   issued    — no key yet; issue a fresh license
+//   renewed   — key exists but expired/inactive (or was a trial); keep the key,
+//               re-issue under the purchased plan, keep machine bindings
+//   extended  — same time-limited plan bought again; stack the duration
+//   seat_added — already valid; add a seat (more machines) to the same key
+//   seat_capped — already valid, but another seat would add no machines
+//               (MACHINE_SLOTS reached or an admin override); the purchase is
+//               recorded as refused and the caller refunds it
+//   held      — license is revoked; record the purchase for an admin to review
+// `tier` and `planSlug` come from the plan catalog; issued and renewed licenses
+// take them on (the tier is only stored when it differs from the plan default).
+// `purchaseRef` (the payment intent or subscription ID) is recorded against the
+// seat it adds, so refunding or cancelling that purchase removes only the seat.
+// Returns { outcome, patch, licenseKey }.
+function buildCheckoutLicensePatch(metadata = {}, plan, { eventId = '', sessionId = '', tier = '', planSlug = '', purchaseRef = '' } = {}) {
+  // Stripe retries reuse the event ID, and each session completes exactly once.
+  if (hasRecentId(metadata.license_checkout_events, eventId)
+    || (sessionId && metadata.license_checkout_session_id === sessionId)) {
+    return { outcome: 'duplicate', patch: {}, licenseKey: metadata.license_key || '' };
+  }
+
+  const nowIso = new Date().toISOString();
+  const audit = {
+    license_checkout_events: eventId ? appendRecentId(metadata.license_checkout_events, eventId) : metadata.license_checkout_events || '',
+    license_checkout_session_id: sessionId,
+    license_last_purchase_at: nowIso,
+    license_purchase_count: String((parseInt(metadata.license_purchase_count || '0', 10) || 0) + 1),
+  };
+  const planTier = {
+    license_tier: LICENSE_TIERS.has(tier) && tier !== LICENSE_PLANS[plan]?.tier ? tier : '',
+    license_plan_slug: cleanText(planSlug, 40),
+  };
+
+  if (!metadata.license_key) {
+    const patch = buildIssuedLicensePatch(plan, metadata);
+    return { outcome: 'issued', patch: { ...patch, ...planTier, ...audit }, licenseKey: patch.license_key };
+  }
+
+  const licenseKey = metadata.license_key;
+  if (metadata.license_revoked === 'true') {
+    return {
+      outcome: 'held',
+      patch: { ...audit, license_held_purchase_plan: plan, license_held_purchase_at: nowIso },
+      licenseKey,
+    };
+  }
+
+  const expiryMs = getLicenseExpiryMs(metadata);
+  const usable = getLicenseStatus(metadata) === 'active' && !(expiryMs && expiryMs <= Date.now());
+  const currentPlan = cleanText(metadata.plan, 32).toLowerCase();
+
+  if (!usable || currentPlan === 'trial') {
+    return {
+      outcome: 'renewed',
+      patch: {
+        ...audit,
+        plan,
+        ...planTier,
+        license_expires_at: computeLicenseExpiry(plan),
+        license_status: '',
+        license_status_reason: '',
+        license_renewed_at: nowIso,
+      },
+      licenseKey,
+    };
+  }
+
+  if (currentPlan === plan && expiryMs) {
+    return {
+      outcome: 'extended',
+      patch: {
+        ...audit,
+        ...buildExpiryExtensionPatch(metadata, { days: LICENSE_PLANS[plan]?.durationDays || 0, actor: 'checkout' }),
+      },
+      licenseKey,
+    };
+  }
+
+  // A lifetime purchase on top of a time-limited license removes the expiry too.
+  const seats = (parseInt(metadata.license_seats || '1', 10) || 1) + 1;
+  const lifetimeUpgrade = expiryMs && !LICENSE_PLANS[plan]?.durationDays ? { plan, license_expires_at: '' } : null;
+  if (getMaxMachines({ ...metadata, license_seats: String(seats) }) <= getMaxMachines(metadata)) {
+    if (lifetimeUpgrade) return { outcome: 'extended', patch: { ...audit, ...lifetimeUpgrade }, licenseKey };
+    return {
+      outcome: 'seat_capped',
+      patch: {
+        ...audit,
+        ...(purchaseRef ? { license_refused_purchases: appendRecentId(metadata.license_refused_purchases, purchaseRef) } : {}),
+      },
+      licenseKey,
+    };
+  }
+  return {
+    outcome: 'seat_added',
+    patch: {
+      ...audit,
+      license_seats: String(seats),
+      ...(purchaseRef ? { license_seat_purchases: appendRecentId(metadata.license_seat_purchases, purchaseRef) } : {}),
+      ...(lifetimeUpgrade || {}),
+    },
+    licenseKey,
+  };
+}
+
+function splitIds(list) {
+  return String(list || '').split(',').filter(Boolean);
+}
+
+// What a purchase (payment intent or subscription ID; any of `refs` may match)
+// was for on this license: 'seat' — it added a seat; 'removed_seat' — that seat
+// was already taken back; 'refused' — a seat_capped purchase that was refunded;
+// '' — the license itself. Returns { role, ref }.
+function getPurchaseRole(metadata = {}, refs = []) {
+  for (const ref of refs.filter(Boolean)) {
+    if (hasRecentId(metadata.license_seat_purchases, ref)) return { role: 'seat', ref };
+    if (hasRecentId(metadata.license_seats_removed, ref)) return { role: 'removed_seat', ref };
+    if (hasRecentId(metadata.license_refused_purchases, ref)) return { role: 'refused', ref };
+  }
+  return { role: '', ref: '' };
+}
+
+// Metadata patch that takes back the seat `purchaseRef` added (refunded,
+// disputed or cancelled). Disputed seats are remembered so a won dispute can
+// give them back (buildSeatRestorePatch).
+function buildSeatRemovalPatch(metadata = {}, purchaseRef, { reason = '' } = {}) {
+  const seats = Math.max(1, parseInt(metadata.license_seats || '1', 10) || 1);
+  return {
+    license_seats: String(Math.max(1, seats - 1)),
+    license_seat_purchases: splitIds(metadata.license_seat_purchases).filter((id) => id !== purchaseRef).join(','),
+    license_seats_removed: appendRecentId(metadata.license_seats_removed, purchaseRef),
+    ...(reason === 'disputed'
+      ? { license_seats_disputed: appendRecentId(metadata.license_seats_disputed, purchaseRef) }
+      : {}),
+    license_seat_removed_at: new Date().toISOString(),
+    license_seat_removed_reason: cleanText(reason, 40),
+  };
+}
+
+function buildSeatRestorePatch(metadata = {}, purchaseRef) {
+  const seats = Math.max(1, parseInt(metadata.license_seats || '1', 10) || 1);
+  return {
+    license_seats: String(seats + 1),
+    license_seat_purchases: appendRecentId(metadata.license_seat_purchases, purchaseRef),
+    license_seats_removed: splitIds(metadata.license_seats_removed).filter((id) => id !== purchaseRef).join(','),
+    license_seats_disputed: splitIds(metadata.license_seats_disputed).filter((id) => id !== purchaseRef).join(','),
+  };
+}
+
+// Metadata patch that extends (days), sets (expiresAt) or removes (lifetime) a
+// license's expiry. Extensions stack on the current expiry unless it already passed.
+function buildExpiryExtensionPatch(metadata = {}, { days = 0, expiresAt = '', lifetime = false, actor = '' } = {}) {
+  const nowIso = new Date().toISOString();
+  const audit = {
+    license_expiry_updated_at: nowIso,
+    license_expiry_updated_by: cleanText(actor, 120),
+  };
+
+  if (lifetime) return { ...audit, license_expires_at: '' };
+
+  if (expiresAt) {
+    const ts = Date.parse(expiresAt);
+    if (Number.isNaN(ts)) throw new Error('expires_at must be an ISO date');
+    return { ...audit, license_expires_at: new Date(ts).toISOString() };
+  }
+
+  const extraDays = parseInt(days, 10);
+  if (!Number.isFinite(extraDays) || extraDays <= 0) {
+    throw new Error('days must be a positive number');
+  }
+  const currentExpiry = getLicenseExpiryMs(metadata);
+  const base = currentExpiry && currentExpiry > Date.now() ? currentExpiry : Date.now();
+  return { ...audit, license_expires_at: new Date(base + extraDays * DAY_MS).toISOString() };
+}
+
+// Metadata patch that revokes (with a REVOCATION_REASONS code) or reinstates a
+// license. Both directions record who did it and when; reinstating clears the
+// revocation fields but keeps the last reason for history.
+function buildRevocationPatch({ revoked, reason = '', note = '', actor = '' }) {
+  const nowIso = new Date().toISOString();
+  const safeActor = cleanText(actor, 120);
+  const safeNote = cleanText(note, 300);
+
+  if (revoked) {
+    const code = cleanText(reason, 32).toLowerCase();
+    if (!REVOCATION_REASONS[code]) {
+      throw new Error(`reason must be one of: ${Object.keys(REVOCATION_REASONS).join(', ')}`);
     }
+    return {
+      license_revoked: 'true',
+      license_revoked_reason: code,
+      license_revoked_note: safeNote,
+      license_revoked_at: nowIso,
+      license_revoked_by: safeActor,
+    };
+  }
+
+  if (!safeNote) throw new Error('reason is required to reinstate a license');
+  return {
+    license_revoked: '',
+    license_revoked_at: '',
+    license_revoked_by: '',
+    license_reinstated_at: nowIso,
+    license_reinstated_by: safeActor,
+    license_reinstated_note: safeNote,
+  };
+}
+
+function getMaxMachines(metadata = {}) {
+  const override = parseInt(metadata.license_max_machines || '', 10);
+  // Each additional purchase (license_seats) adds another tier allowance of machines.
+  const seats = Math.max(1, parseInt(metadata.license_seats || '1', 10) || 1);
+  const tierMax = (TIER_MAX_MACHINES[getLicenseTier(metadata)] || 1) * seats;
+  const max = Number.isFinite(override) && override > 0 ? override : tierMax;
+  return Math.min(max, MACHINE_SLOTS);
+}
+
+function getBoundMachines(metadata = {}) {
+  const machines = [];
+  for (let slot = 1; slot <= MACHINE_SLOTS; slot += 1) {
+    const keys = machineSlotKeys(slot);
+    const hardwareId = normalizeHardwareId(metadata[keys.hardwareId] || '');
+    if (!hardwareId) continue;
+    machines.push({
+      slot,
+      hardware_id: hardwareId,
+      bound_at: metadata[keys.boundAt] || '',
+      // Records bound before per-machine tracking only have the license-wide timestamp.
+      last_seen_at: metadata[keys.lastSeenAt] || (slot === 1 ? metadata.license_last_validation_at || '' : ''),
+    });
   }
+  return machines;
+}
+
+function maskMachines(machines) {
+  return machines.map((machine) => ({
+    slot: machine.slot,
+    hardware_id_masked: maskHardwareId(machine.hardware_id),
+    bound_at: machine.bound_at,
+    last_seen_at: machine.last_seen_at,
+  }));
+}
+
+// Metadata patch that unbinds the given slots (all of them by default).
+function buildMachineReleasePatch(slots = null) {
+  const patch = {};
+  for (let slot = 1; slot <= MACHINE_SLOTS; slot += 1) {
+    if (slots && !slots.includes(slot)) continue;
+    const keys = machineSlotKeys(slot);
+    patch[keys.hardwareId] = '';
+    patch[keys.boundAt] = '';
+    patch[keys.lastSeenAt] = '';
+  }
+  return patch;
 }
 
 async function findCustomerByLicenseKey(rawKey) {
   const key = normalizeLicenseKey(rawKey);
   if (!key || !LICENSE_PATTERN.test(key)) return null;
-
-  let found = null;
-  await listCustomersPaged(async (customer) => {
-    if ((customer?.metadata || {}).license_key === key) {
-      found = customer;
-      return true;
-    }
-    return false;
-  });
-  return found;
+  return licenseStore.getByKey(key);
 }
 
 async function findCustomerByEmail(rawEmail) {
   const email = normalizeEmail(rawEmail);
   if (!email) return null;
-
-  const result = await stripe.customers.list({ email, limit: 20 });
-  for (const customer of result.data || []) {
-    if (normalizeEmail(customer.email) === email) {
-      return customer;
-    }
-  }
-  return null;
+  return licenseStore.getByEmail(email);
 }
 
 async function findCustomerByDiscordUserId(rawDiscordUserId) {
   const discordUserId = cleanText(rawDiscordUserId, 64);
   if (!discordUserId) return null;
+  return licenseStore.getByDiscordUserId(discordUserId);
+}
 
-  let found = null;
-  await listCustomersPaged(async (customer) => {
-    const metadata = customer?.metadata || {};
-    const linkedId = cleanText(metadata.license_discord_user_id || metadata.discord_user_id || '', 64);
-    if (linkedId && linkedId === discordUserId) {
-      found = customer;
-      return true;
-    }
-    return false;
-  });
-  return found;
+async function findCustomerByHardwareId(rawHardwareId) {
+  const hardwareId = normalizeHardwareId(rawHardwareId);
+  if (!hardwareId) return null;
+  return licenseStore.getByHardwareId(hardwareId);
+}
+
+async function findCustomerById(rawCustomerId) {
+  const customerId = cleanText(rawCustomerId, 64);
+  if (!customerId) return null;
+  return licenseStore.getById(customerId);
 }
 
-async function hasActiveSubscription(customerId) {
-  if (!customerId) return false;
-  const subscriptions = await stripe.subscriptions.list({
-    customer: customerId,
-    status: 'all',
-    limit: 20,
-  });
-  return (subscriptions.data || []).some((sub) => ACTIVE_SUB_STATUSES.has(String(sub.status || '').toLowerCase()));
+// Applies a license patch to the record for this customer (matched by ID, then
+// email), creating the record if none exists. `buildPatch` receives the existing
+// metadata ({} for new records) so callers can carry state forward.
+async function upsertLicenseRecord({ customerId = '', email = '' }, buildPatch) {
+  let existing = customerId ? await findCustomerById(customerId) : null;
+  if (!existing && email) existing = await findCustomerByEmail(email);
+
+  if (!existing) {
+    if (!normalizeEmail(email)) return null;
+    const created = await licenseStore.create({ email: normalizeEmail(email), metadata: buildPatch({}) });
+    return { customer: created, created: true };
+  }
+
+  const updated = await licenseStore.update(existing.id, buildPatch(existing.metadata || {}));
+  return { customer: updated, created: false };
 }
 
 function getLicenseSummary(customer) {
   const metadata = customer?.metadata || {};
   const plan = metadata.plan || 'lifetime';
-  const tier = mapPlanToTier(plan);
-  const hardwareId = metadata.license_hardware_id || '';
+  const tier = getLicenseTier(metadata);
+  const machines = getBoundMachines(metadata);
+  const primary = machines[0] || null;
+  const expiryMs = getLicenseExpiryMs(metadata);
+  const isExpired = !!expiryMs && expiryMs <= Date.now();
 
   return {
     customer_id: customer?.id || '',
@@ -132,15 +478,42 @@ function getLicenseSummary(customer) {
       : '',
     license_created: metadata.license_created || '',
     plan,
+    plan_slug: metadata.license_plan_slug || '',
     tier,
+    expires_at: metadata.license_expires_at || null,
+    expired: isExpired,
     license_revoked: metadata.license_revoked === 'true',
-    machine_locked: !!hardwareId,
-    hardware_id_masked: maskHardwareId(hardwareId),
-    hardware_bound_at: metadata.license_hardware_bound_at || '',
+    revoked_reason: metadata.license_revoked === 'true' ? metadata.license_revoked_reason || 'other' : '',
+    revoked_at: metadata.license_revoked_at || '',
+    status: getLicenseStatus(metadata),
+    status_reason: metadata.license_status_reason || '',
+    status_changed_at: metadata.license_status_changed_at || '',
+    machine_locked: machines.length > 0,
+    hardware_id_masked: primary ? maskHardwareId(primary.hardware_id) : '',
+    hardware_bound_at: primary ? primary.bound_at : '',
+    max_machines: getMaxMachines(metadata),
+    seats: Math.max(1, parseInt(metadata.license_seats || '1', 10) || 1),
+    machines: maskMachines(machines),
+    entitlements: getEntitlements(metadata, tier),
+    entitlements_overridden: !!metadata.license_entitlements,
     last_validation_at: metadata.license_last_validation_at || '',
     last_app_version: metadata.license_last_app_version || '',
     reset_count: parseInt(metadata.license_reset_count || '0', 10) || 0,
     last_reset_at: metadata.license_last_reset_at || '',
+    key_rotated_at: metadata.license_key_rotated_at || '',
+    email_bounced_at: metadata.email_hard_bounced_at || '',
+    email_bounce_reason: metadata.email_bounce_reason || '',
+    referral: {
+      code: metadata.license_referral_code || '',
+      share_url: metadata.license_referral_code
+        ? `${process.env.SITE_URL || 'https://www.hyperfect.dev'}/?ref=${metadata.license_referral_code}`
+        : '',
+      referrals: parseInt(metadata.license_referral_count || '0', 10) || 0,
+      rewarded: parseInt(metadata.license_referral_rewarded || '0', 10) || 0,
+      last_referral_at: metadata.license_referral_last_at || '',
+      last_reward: metadata.license_referral_last_reward || '',
+      referred_by: metadata.license_referred_by || '',
+    },
   };
 }
 
@@ -180,68 +553,140 @@ async function validateLicenseRecord({
   if (metadata.license_revoked === 'true') {
     return {
       status: 403,
-      body: { valid: false, error: 'License has been revoked' },
+      body: {
+        valid: false,
+        code: 'revoked',
+        reason_code: metadata.license_revoked_reason || 'other',
+        error: 'License has been revoked',
+      },
+    };
+  }
+
+  const licenseStatus = getLicenseStatus(metadata);
+  if (licenseStatus !== 'active') {
+    return {
+      status: 403,
+      body: {
+        valid: false,
+        code: licenseStatus,
+        reason_code: metadata.license_status_reason || '',
+        error: LICENSE_STATUS_MESSAGES[licenseStatus],
+        manage_url: MACHINE_RESET_URL,
+      },
+    };
+  }
+
+  const expiryMs = getLicenseExpiryMs(metadata);
+  if (expiryMs && expiryMs <= Date.now()) {
+    return {
+      status: 403,
+      body: {
+        valid: false,
+        code: 'expired',
+        error: 'License has expired',
+        expires_at: new Date(expiryMs).toISOString(),
+        renew_url: LICENSE_RENEW_URL,
+      },
     };
   }
 
   const plan = metadata.plan || 'lifetime';
   if (String(plan).toLowerCase() === 'subscription') {
-    const active = await hasActiveSubscription(customer.id);
+    const active = await licenseStore.hasActiveSubscription(customer.id);
     if (!active) {
       return {
         status: 403,
-        body: { valid: false, error: 'Subscription is no longer active' },
+        body: {
+          valid: false,
+          code: 'inactive',
+          reason_code: 'subscription_inactive',
+          error: 'Subscription is no longer active',
+        },
       };
     }
   }
 
-  const existingHardwareId = normalizeHardwareId(metadata.license_hardware_id || '');
+  const tier = getLicenseTier(metadata);
+  const entitlements = getEntitlements(metadata, tier);
+  const machines = getBoundMachines(metadata);
+  const maxMachines = getMaxMachines(metadata);
   const nowIso = new Date().toISOString();
-  let effectiveHardware = existingHardwareId;
+  let currentMachine = null;
 
   if (bindHardware && normalizedHardware) {
-    if (existingHardwareId && existingHardwareId !== normalizedHardware) {
+    currentMachine = machines.find((machine) => machine.hardware_id === normalizedHardware) || null;
+
+    if (!currentMachine && machines.length >= maxMachines) {
       return {
         status: 409,
         body: {
           valid: false,
           code: 'machine_mismatch',
-          error: 'License is already active on another machine. Reset machine activation from your license dashboard to move computers.',
+          error: maxMachines === 1
+            ? 'License is already active on another machine. Reset machine activation from your license dashboard to move computers.'
+            : `License is already active on ${machines.length} machines (limit ${maxMachines}). Release a machine from your license dashboard to activate this one.`,
           manage_url: MACHINE_RESET_URL,
           machine_locked: true,
-          hardware_id_masked: maskHardwareId(existingHardwareId),
+          hardware_id_masked: maskHardwareId(machines[0].hardware_id),
+          max_machines: maxMachines,
+          machines: maskMachines(machines),
         },
       };
     }
 
     const updatedMetadata = {
-      ...metadata,
       license_last_validation_at: nowIso,
       license_last_app_version: normalizedVersion || metadata.license_last_app_version || '',
     };
 
-    if (!existingHardwareId) {
-      updatedMetadata.license_hardware_id = normalizedHardware;
-      updatedMetadata.license_hardware_bound_at = nowIso;
-      effectiveHardware = normalizedHardware;
+    if (currentMachine) {
+      updatedMetadata[machineSlotKeys(currentMachine.slot).lastSeenAt] = nowIso;
+      currentMachine.last_seen_at = nowIso;
+    } else {
+      const usedSlots = new Set(machines.map((machine) => machine.slot));
+      let slot = 1;
+      while (usedSlots.has(slot)) slot += 1;
+
+      const keys = machineSlotKeys(slot);
+      updatedMetadata[keys.hardwareId] = normalizedHardware;
+      updatedMetadata[keys.boundAt] = nowIso;
+      updatedMetadata[keys.lastSeenAt] = nowIso;
+      currentMachine = { slot, hardware_id: normalizedHardware, bound_at: nowIso, last_seen_at: nowIso };
+      machines.push(currentMachine);
     }
 
-    await stripe.customers.update(customer.id, { metadata: updatedMetadata });
+    await licenseStore.update(customer.id, updatedMetadata);
   }
 
-  const tier = mapPlanToTier(plan);
+  const shownMachine = currentMachine || machines[0] || null;
+  const activationCertificate = currentMachine
+    ? issueActivationCertificate({
+      key: normalizedKey,
+      tier,
+      plan,
+      hardwareId: currentMachine.hardware_id,
+      entitlements,
+      graceDays: getOfflineGraceDays(metadata, tier),
+      notAfter: expiryMs,
+    })
+    : null;
+
   return {
     status: 200,
     body: {
       valid: true,
       plan,
       tier,
+      entitlements,
       email: customer.email || '',
       activated: metadata.license_created || '',
-      expires_at: tier === 'unlimited' ? null : '',
-      machine_locked: !!(effectiveHardware || existingHardwareId),
-      hardware_id_masked: maskHardwareId(effectiveHardware || existingHardwareId),
+      expires_at: expiryMs ? new Date(expiryMs).toISOString() : null,
+      machine_locked: machines.length > 0,
+      hardware_id_masked: shownMachine ? maskHardwareId(shownMachine.hardware_id) : '',
+      max_machines: maxMachines,
+      machines_bound: machines.length,
       manage_url: MACHINE_RESET_URL,
+      ...(activationCertificate ? { activation_certificate: activationCertificate } : {}),
     },
     customer_id: customer.id,
   };
@@ -249,15 +694,40 @@ async function validateLicenseRecord({
 
 module.exports = {
   stripe,
+  licenseStore,
   LICENSE_PATTERN,
   MACHINE_RESET_URL,
+  LICENSE_RENEW_URL,
+  LICENSE_PLANS,
+  REVOCATION_REASONS,
+  TIER_MAX_MACHINES,
   cleanText,
   normalizeEmail,
   normalizeLicenseKey,
   normalizeHardwareId,
+  getLicenseTier,
+  getLicenseStatus,
+  buildLicenseStatusPatch,
+  getMaxMachines,
+  getBoundMachines,
+  buildMachineReleasePatch,
+  generateLicenseKey,
+  computeLicenseExpiry,
+  buildIssuedLicensePatch,
+  appendRecentId,
+  hasRecentId,
+  buildCheckoutLicensePatch,
+  getPurchaseRole,
+  buildSeatRemovalPatch,
+  buildSeatRestorePatch,
+  buildExpiryExtensionPatch,
+  buildRevocationPatch,
   findCustomerByLicenseKey,
   findCustomerByEmail,
   findCustomerByDiscordUserId,
+  findCustomerByHardwareId,
+  findCustomerById,
+  upsertLicenseRecord,
   getLicenseSummary,
   validateLicenseRecord,
 };
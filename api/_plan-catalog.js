@@ -0,0 +1,132 @@
+// Server-defined plan catalog.
+//
+// Checkout only accepts a plan slug from this list: the Stripe price, checkout
+// mode and trial length never come from the client. The webhook maps a
+// completed checkout back to its catalog entry (session metadata.plan_slug, or
+// the purchased price) to decide the license plan and tier.
+//
+// Stripe price IDs differ between test and live mode, so each plan names the
+// env var holding its price. Plans whose price isn't configured are listed as
+// unavailable and can't be checked out.
+//
+//   licensePlan — license plan written to the record (see LICENSE_PLANS)
+//   tier        — license tier; entitlements and machine limits follow from it
+//   public      — listed by GET /api/plans and purchasable via /api/create-checkout
+//                 (beta is invite-only and issued through waitlist/Discord invites)
+
+const { TIER_MAX_MACHINES } = require('./_license-utils');
+const { TIER_ENTITLEMENTS } = require('./_license-entitlements');
+
+const PLAN_CATALOG = [
+  {
+    slug: 'basic-monthly',
+    name: 'Nexus Basic',
+    description: 'Monthly subscription for LinkedIn and Indeed automation',
+    priceEnv: 'PRICE_ID_BASIC_MONTHLY',
+    mode: 'subscription',
+    trialDays: 0,
+    licensePlan: 'subscription',
+    tier: 'basic',
+    public: true,
+  },
+  {
+    slug: 'pro-monthly',
+    name: 'Nexus Pro',
+    description: 'Monthly subscription with Glassdoor and two concurrent tasks',
+    priceEnv: 'PRICE_ID_PRO_MONTHLY',
+    mode: 'subscription',
+    trialDays: 7,
+    licensePlan: 'subscription',
+    tier: 'pro',
+    public: true,
+  },
+  {
+    slug: 'unlimited-monthly',
+    name: 'Nexus Unlimited',
+    description: 'Monthly subscription with every platform and no daily cap',
+    priceEnv: 'PRICE_ID_UNLIMITED_MONTHLY',
+    mode: 'subscription',
+    trialDays: 7,
+    licensePlan: 'subscription',
+    tier: 'unlimited',
+    public: true,
+  },
+  {
+    slug: 'annual',
+    name: 'Nexus Annual',
+    description: 'One year of Nexus Unlimited, paid once',
+    priceEnv: 'PRICE_ID_ANNUAL',
+    mode: 'payment',
+    trialDays: 0,
+    licensePlan: 'annual',
+    tier: 'unlimited',
+    public: true,
+  },
+  {
+    slug: 'lifetime',
+    name: 'Nexus Lifetime',
+    description: 'Nexus Unlimited forever, paid once',
+    priceEnv: 'PRICE_ID_LIFETIME',
+    mode: 'payment',
+    trialDays: 0,
+    licensePlan: 'lifetime',
+    tier: 'unlimited',
+    public: true,
+  },
+  {
+    slug: 'beta',
+    name: 'Nexus Beta',
+    description: 'Free beta access for invited testers',
+    priceEnv: 'BETA_PRICE_ID',
+    mode: 'payment',
+    trialDays: 0,
+    licensePlan: 'lifetime',
+    tier: 'unlimited',
+    public: false,
+  },
+];
+
+function getPlanPriceId(plan) {
+  return plan ? String(process.env[plan.priceEnv] || '').trim() : '';
+}
+
+function getPlan(slug) {
+  const normalized = String(slug || '').trim().toLowerCase();
+  return PLAN_CATALOG.find((plan) => plan.slug === normalized) || null;
+}
+
+function findPlanByPriceId(priceId) {
+  const normalized = String(priceId || '').trim();
+  if (!normalized) return null;
+  return PLAN_CATALOG.find((plan) => getPlanPriceId(plan) === normalized) || null;
+}
+
+// Client-facing shape: no price IDs or env names.
+function toPublicPlan(plan) {
+  const entitlements = TIER_ENTITLEMENTS[plan.tier] || TIER_ENTITLEMENTS.basic;
+  return {
+    slug: plan.slug,
+    name: plan.name,
+    description: plan.description,
+    mode: plan.mode,
+    trial_days: plan.trialDays,
+    license_plan: plan.licensePlan,
+    tier: plan.tier,
+    max_machines: TIER_MAX_MACHINES[plan.tier] || 1,
+    entitlements: { ...entitlements, job_platforms: [...entitlements.job_platforms] },
+    available: !!getPlanPriceId(plan),
+  };
+}
+
+function listPublicPlans() {
+  return PLAN_CATALOG.filter((plan) => plan.public).map(toPublicPlan);
+}
+
+module.exports = {
+  PLAN_CATALOG,
+  getPlan,
+  getPlanPriceId,
+  findPlanByPriceId,
+  toPublicPlan,
+  listPublicPlans,
+};
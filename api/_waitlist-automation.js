@@ -0,0 +1,413 @@
+// Waitlist auto-review rules and invite waves.
+//
+// Review rules approve or reject pending entries without an admin. A rule has
+// one or more conditions, all of which must match:
+//   sources          — waitlist_source is one of these (e.g. producthunt)
+//   domains          — email domain is, or is a subdomain of, one of these (edu matches mit.edu)
+//   keywords         — waitlist_interest contains any of these (case-insensitive)
+//   min_submissions / max_submissions — bounds on waitlist_submission_count
+// Active rules run in `order` (lowest first, then oldest); the first match
+// decides. Entries an admin has already reviewed are left alone.
+//
+// An invite wave sends beta invites to approved entries, oldest signup or
+// highest queue priority (_waitlist-queue.js) first, up to a daily capacity.
+// Only wave invites count towards the capacity; manual invites don't. Entries
+// that bounced, complained or already hold a license are skipped.
+//
+// Both run daily from cron (api/waitlist-automation.js) and can be run by an
+// admin with dry_run, which reports what would happen without writing or
+// emailing anything.
+//
+// Each rule is its own record (no email) with metadata:
+//   review_rule_id, review_rule_status active | disabled, review_rule_action approve | reject,
+//   review_rule_label, review_rule_order, review_rule_sources, review_rule_domains,
+//   review_rule_keywords (comma-separated), review_rule_min_submissions,
+//   review_rule_max_submissions, review_rule_matches, review_rule_created_by,
+//   review_rule_created_at, review_rule_disabled_by, review_rule_disabled_at
+// Entries decided by a rule get waitlist_reviewed_by rule:<id> and
+// waitlist_review_rule; wave invites set waitlist_wave_invited_at.
+//
+// Environment Variables:
+//   WAITLIST_WAVE_CAPACITY      — invites per UTC day (default 25, 0 turns waves off)
+//   WAITLIST_WAVE_ORDER         — priority | oldest (default priority)
+//   WAITLIST_AUTOMATION_DRY_RUN — true keeps the cron run report-only
+
+const crypto = require('crypto');
+const { licenseStore, cleanText, normalizeEmail } = require('./_license-utils');
+const { listQueue } = require('./_waitlist-queue');
+const {
+  createInviteForCustomer,
+  sendWaitlistInviteEmail,
+  buildInviteSessionPatch,
+} = require('./_waitlist-invites');
+
+const RULE_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RULE_ACTIONS = new Set(['approve', 'reject']);
+const RULE_LIST_FIELDS = ['sources', 'domains', 'keywords'];
+const RULE_LIST_MAX_LENGTH = 480;
+const DEFAULT_RULE_ORDER = 100;
+const REVIEW_SCAN_LIMIT = 500;
+const MAX_WAVE_CAPACITY = 500;
+const WAVE_ORDERS = new Set(['priority', 'oldest']);
+// Reports list at most this many entries; the counts cover everything.
+const REPORT_ENTRY_LIMIT = 100;
+
+function getWaveCapacity() {
+  const configured = parseInt(process.env.WAITLIST_WAVE_CAPACITY ?? '25', 10);
+  return Number.isFinite(configured) ? Math.max(0, Math.min(MAX_WAVE_CAPACITY, configured)) : 25;
+}
+
+function getWaveOrder() {
+  const configured = cleanText(process.env.WAITLIST_WAVE_ORDER, 16).toLowerCase();
+  return WAVE_ORDERS.has(configured) ? configured : 'priority';
+}
+
+function isAutomationDryRun() {
+  return String(process.env.WAITLIST_AUTOMATION_DRY_RUN || '').trim().toLowerCase() === 'true';
+}
+
+function generateRuleId() {
+  const bytes = crypto.randomBytes(6);
+  let id = '';
+  for (const byte of bytes) id += RULE_ID_ALPHABET[byte % RULE_ID_ALPHABET.length];
+  return `RULE-${id}`;
+}
+
+// Accepts an array or a comma-separated string; returns lower-cased, de-duplicated values.
+function parseList(value, { domain = false } = {}) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const out = [];
+  for (const item of items) {
+    let normalized = cleanText(item, 120).toLowerCase();
+    if (domain) normalized = normalized.replace(/^(\*\.|@|\.)+/, '');
+    if (normalized && !out.includes(normalized)) out.push(normalized);
+  }
+  return out;
+}
+
+function parseCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const count = parseInt(value, 10);
+  return Number.isFinite(count) && count >= 1 ? count : NaN;
+}
+
+function mapRule(record) {
+  const metadata = record?.metadata || {};
+  const count = (key) => (metadata[key] ? parseInt(metadata[key], 10) || null : null);
+  return {
+    id: metadata.review_rule_id || '',
+    status: metadata.review_rule_status || '',
+    action: metadata.review_rule_action || '',
+    label: metadata.review_rule_label || '',
+    order: parseInt(metadata.review_rule_order || String(DEFAULT_RULE_ORDER), 10),
+    sources: parseList(metadata.review_rule_sources),
+    domains: parseList(metadata.review_rule_domains),
+    keywords: parseList(metadata.review_rule_keywords),
+    min_submissions: count('review_rule_min_submissions'),
+    max_submissions: count('review_rule_max_submissions'),
+    matches: parseInt(metadata.review_rule_matches || '0', 10) || 0,
+    created_at: metadata.review_rule_created_at || null,
+    created_by: metadata.review_rule_created_by || '',
+    disabled_at: metadata.review_rule_disabled_at || null,
+    disabled_by: metadata.review_rule_disabled_by || '',
+  };
+}
+
+async function findRule(rawId) {
+  const id = cleanText(rawId, 16).toUpperCase();
+  if (!/^RULE-[A-Z2-9]{6}$/.test(id)) return null;
+  const [record] = await licenseStore.listByMetadata('review_rule_id', id, { limit: 1 });
+  return record && !record.deleted ? record : null;
+}
+
+// status: active | disabled | all; in evaluation order.
+async function listRules({ status = 'all' } = {}) {
+  const records = [
+    ...(status !== 'disabled' ? await licenseStore.listByMetadata('review_rule_status', 'active', { limit: 200 }) : []),
+    ...(status !== 'active' ? await licenseStore.listByMetadata('review_rule_status', 'disabled', { limit: 200 }) : []),
+  ];
+  return records
+    .filter((record) => !record.deleted)
+    .map(mapRule)
+    .sort((a, b) => a.order - b.order || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+}
+
+// Validate admin input and store a new rule. Returns { status, rule?, error? }.
+async function createRule({ action, label = '', order, sources, domains, keywords, minSubmissions, maxSubmissions, actor = '' }) {
+  const normalizedAction = cleanText(action, 16).toLowerCase();
+  if (!RULE_ACTIONS.has(normalizedAction)) {
+    return { status: 400, error: 'rule_action must be approve or reject' };
+  }
+
+  const lists = {
+    sources: parseList(sources),
+    domains: parseList(domains, { domain: true }),
+    keywords: parseList(keywords),
+  };
+  for (const field of RULE_LIST_FIELDS) {
+    if (lists[field].join(',').length > RULE_LIST_MAX_LENGTH) {
+      return { status: 400, error: `${field} is too long (max ${RULE_LIST_MAX_LENGTH} characters)` };
+    }
+  }
+
+  const min = parseCount(minSubmissions);
+  const max = parseCount(maxSubmissions);
+  if (Number.isNaN(min) || Number.isNaN(max)) {
+    return { status: 400, error: 'min_submissions and max_submissions must be whole numbers of at least 1' };
+  }
+  if (min && max && min > max) {
+    return { status: 400, error: 'min_submissions cannot be greater than max_submissions' };
+  }
+  if (!lists.sources.length && !lists.domains.length && !lists.keywords.length && !min && !max) {
+    return { status: 400, error: 'A rule needs at least one condition (sources, domains, keywords, min_submissions or max_submissions)' };
+  }
+
+  const ruleOrder = order === undefined || order === null || order === '' ? DEFAULT_RULE_ORDER : parseInt(order, 10);
+  if (!Number.isFinite(ruleOrder) || ruleOrder < 0 || ruleOrder > 10000) {
+    return { status: 400, error: 'order must be between 0 and 10000' };
+  }
+
+  let id = '';
+  for (let attempt = 0; attempt < 3 && !id; attempt += 1) {
+    const candidate = generateRuleId();
+    if (!(await findRule(candidate))) id = candidate;
+  }
+  if (!id) throw new Error('Could not allocate a unique review rule ID');
+
+  const record = await licenseStore.create({
+    name: `Nexus waitlist rule ${id}`,
+    metadata: {
+      review_rule_id: id,
+      review_rule_status: 'active',
+      review_rule_action: normalizedAction,
+      review_rule_label: cleanText(label, 120),
+      review_rule_order: String(ruleOrder),
+      review_rule_sources: lists.sources.join(','),
+      review_rule_domains: lists.domains.join(','),
+      review_rule_keywords: lists.keywords.join(','),
+      review_rule_min_submissions: min ? String(min) : '',
+      review_rule_max_submissions: max ? String(max) : '',
+      review_rule_matches: '0',
+      review_rule_created_by: cleanText(actor, 120),
+      review_rule_created_at: new Date().toISOString(),
+    },
+  });
+  return { status: 200, rule: mapRule(record) };
+}
+
+async function disableRule(rawId, { actor = '' } = {}) {
+  const record = await findRule(rawId);
+  if (!record) return { status: 404, error: 'Review rule not found' };
+  if (record.metadata?.review_rule_status === 'disabled') {
+    return { status: 200, rule: mapRule(record) };
+  }
+  const updated = await licenseStore.update(record.id, {
+    review_rule_status: 'disabled',
+    review_rule_disabled_at: new Date().toISOString(),
+    review_rule_disabled_by: cleanText(actor, 120),
+  });
+  return { status: 200, rule: mapRule(updated) };
+}
+
+function ruleMatches(rule, customer) {
+  const metadata = customer.metadata || {};
+  if (rule.sources.length && !rule.sources.includes(cleanText(metadata.waitlist_source, 64).toLowerCase())) {
+    return false;
+  }
+  if (rule.domains.length) {
+    const domain = normalizeEmail(customer.email).split('@')[1] || '';
+    if (!rule.domains.some((entry) => domain === entry || domain.endsWith(`.${entry}`))) return false;
+  }
+  if (rule.keywords.length) {
+    const interest = String(metadata.waitlist_interest || '').toLowerCase();
+    if (!rule.keywords.some((keyword) => interest.includes(keyword))) return false;
+  }
+  const submissions = parseInt(metadata.waitlist_submission_count || '1', 10) || 1;
+  if (rule.min_submissions && submissions < rule.min_submissions) return false;
+  if (rule.max_submissions && submissions > rule.max_submissions) return false;
+  return true;
+}
+
+// First active rule matching `customer`, or null.
+function evaluateRules(rules, customer) {
+  return rules.find((rule) => rule.status === 'active' && ruleMatches(rule, customer)) || null;
+}
+
+function describeEntry(customer) {
+  const metadata = customer.metadata || {};
+  return {
+    customer_id: customer.id,
+    email: customer.email || '',
+    name: metadata.waitlist_name || customer.name || '',
+  };
+}
+
+// Apply the active rules to pending entries nobody has reviewed yet.
+async function runAutoReview({ dryRun = false } = {}) {
+  const rules = await listRules({ status: 'active' });
+  const entries = await licenseStore.listByMetadata('waitlist_status', 'pending', { limit: REVIEW_SCAN_LIMIT });
+  const report = { dry_run: dryRun, rules: rules.length, checked: 0, approved: 0, rejected: 0, unmatched: 0, failed: 0, decisions: [] };
+  if (!rules.length) return report;
+
+  const matchCounts = new Map();
+  for (const customer of entries) {
+    if (customer.deleted || customer.metadata?.waitlist_reviewed_at) continue;
+    report.checked += 1;
+    const rule = evaluateRules(rules, customer);
+    if (!rule) {
+      report.unmatched += 1;
+      continue;
+    }
+
+    const status = rule.action === 'approve' ? 'approved' : 'rejected';
+    if (report.decisions.length < REPORT_ENTRY_LIMIT) {
+      report.decisions.push({ ...describeEntry(customer), rule: rule.id, status });
+    }
+    if (dryRun) {
+      report[status] += 1;
+      continue;
+    }
+
+    try {
+      const nowIso = new Date().toISOString();
+      await licenseStore.update(customer.id, {
+        waitlist_status: status,
+        waitlist_reviewed_at: nowIso,
+        waitlist_reviewed_by: `rule:${rule.id}`,
+        waitlist_review_rule: rule.id,
+        waitlist_review_notes: cleanText(`Auto-${rule.action === 'approve' ? 'approved' : 'rejected'} by ${rule.label || rule.id}`, 500),
+        waitlist_updated_at: nowIso,
+      });
+      report[status] += 1;
+      matchCounts.set(rule.id, (matchCounts.get(rule.id) || 0) + 1);
+    } catch (err) {
+      report.failed += 1;
+      console.error(`Waitlist auto-review failed for ${customer.id}:`, err?.message || String(err));
+    }
+  }
+
+  for (const [ruleId, matched] of matchCounts) {
+    const record = await findRule(ruleId);
+    if (!record) continue;
+    await licenseStore.update(record.id, {
+      review_rule_matches: String((parseInt(record.metadata?.review_rule_matches || '0', 10) || 0) + matched),
+    });
+  }
+  return report;
+}
+
+function isInvitable(customer) {
+  const metadata = customer.metadata || {};
+  return !!normalizeEmail(customer.email)
+    && !metadata.license_key
+    && !metadata.email_hard_bounced_at
+    && !metadata.email_complained_at;
+}
+
+// Wave invites already sent since UTC midnight.
+async function countWaveInvitesToday(now = Date.now()) {
+  const dayStart = new Date(now);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  const entries = await licenseStore.listByMetadata('waitlist', 'true', { limit: 2000 });
+  return entries.filter((customer) => {
+    const ts = Date.parse(customer.metadata?.waitlist_wave_invited_at || '');
+    return !Number.isNaN(ts) && ts >= dayStart.getTime();
+  }).length;
+}
+
+// Invite approved entries up to what's left of today's capacity.
+async function runInviteWave({ dryRun = false, capacity = getWaveCapacity(), order = getWaveOrder() } = {}) {
+  const sentToday = await countWaveInvitesToday();
+  const available = Math.max(0, capacity - sentToday);
+  const report = {
+    dry_run: dryRun,
+    order,
+    capacity,
+    sent_today: sentToday,
+    available,
+    eligible: 0,
+    invited: 0,
+    email_failed: 0,
+    failed: 0,
+    skipped: 0,
+    invites: [],
+  };
+  if (!available) return report;
+
+  const queue = (await listQueue())
+    .filter((entry) => entry.customer.metadata?.waitlist_status === 'approved');
+  if (order === 'oldest') queue.sort((a, b) => a.joinedAt - b.joinedAt);
+
+  const candidates = [];
+  for (const entry of queue) {
+    if (isInvitable(entry.customer)) candidates.push(entry);
+    else report.skipped += 1;
+  }
+  report.eligible = candidates.length;
+
+  for (const { customer, score } of candidates.slice(0, available)) {
+    const summary = { ...describeEntry(customer), priority_score: score };
+    if (dryRun) {
+      report.invited += 1;
+      if (report.invites.length < REPORT_ENTRY_LIMIT) report.invites.push(summary);
+      continue;
+    }
+
+    try {
+      const metadata = customer.metadata || {};
+      const email = normalizeEmail(customer.email);
+      const name = metadata.waitlist_name || customer.name || email;
+      const invite = await createInviteForCustomer(email, name, customer.id, metadata.waitlist_referral_code || '');
+      if (!invite.ok) {
+        // Missing configuration fails every invite the same way.
+        report.failed += 1;
+        report.error = invite.error;
+        break;
+      }
+      const emailResult = await sendWaitlistInviteEmail({
+        email,
+        name,
+        inviteUrl: invite.invite_url,
+        expiresIn: invite.expires_in,
+      });
+      const nowIso = new Date().toISOString();
+      await licenseStore.update(customer.id, {
+        waitlist_status: 'invited',
+        waitlist_invited_at: nowIso,
+        waitlist_wave_invited_at: nowIso,
+        waitlist_updated_at: nowIso,
+        ...buildInviteSessionPatch({ sessionId: invite.session_id, expiresAt: invite.expires_at }),
+        ...(emailResult.ok
+          ? { waitlist_invite_email_sent_at: nowIso, waitlist_invite_email_id: emailResult.id || '', waitlist_invite_email_error: '' }
+          : { waitlist_invite_email_error: cleanText(emailResult.error, 200) }),
+      });
+      report.invited += 1;
+      if (!emailResult.ok) report.email_failed += 1;
+      if (report.invites.length < REPORT_ENTRY_LIMIT) {
+        report.invites.push({ ...summary, session_id: invite.session_id, email_sent: !!emailResult.ok });
+      }
+    } catch (err) {
+      report.failed += 1;
+      console.error(`Waitlist wave invite failed for ${customer.id}:`, err?.message || String(err));
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  WAVE_ORDERS,
+  MAX_WAVE_CAPACITY,
+  getWaveCapacity,
+  getWaveOrder,
+  isAutomationDryRun,
+  mapRule,
+  findRule,
+  listRules,
+  createRule,
+  disableRule,
+  evaluateRules,
+  runAutoReview,
+  countWaveInvitesToday,
+  runInviteWave,
+};
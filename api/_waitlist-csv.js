@@ -0,0 +1,99 @@
+// CSV reading and writing for waitlist export and import (api/waitlist.js).
+//
+// Follows RFC 4180: comma-separated, fields quoted with double quotes when they
+// contain a comma, quote or line break, quotes doubled inside quoted fields.
+// Exported cells that start with = + - or @ get a leading apostrophe so
+// spreadsheets don't run applicant-supplied text as a formula.
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'string' ? value : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows are objects; columns picks and orders their keys.
+function toCsv(columns, rows) {
+  const lines = [columns.map(formatCell).join(',')];
+  for (const row of rows) lines.push(columns.map((column) => formatCell(row[column])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Parse CSV text into rows of cells. Throws on an unterminated quoted field.
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('CSV has an unterminated quoted field');
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Parse CSV with a header row into records keyed by lower-cased column name.
+// Blank rows are skipped; `line` is the record's row number (the header is row 1).
+// Returns { columns, records } or { error }.
+function readCsvRecords(text, { required = [], maxRows = Infinity } = {}) {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (err) {
+    return { error: err.message };
+  }
+  const lines = rows.map((cells, index) => ({ cells, line: index + 1 }))
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''));
+  if (!lines.length) return { error: 'CSV is empty' };
+
+  const columns = lines[0].cells.map((cell) => cell.trim().toLowerCase());
+  const missing = required.filter((column) => !columns.includes(column));
+  if (missing.length) return { error: `CSV is missing required column(s): ${missing.join(', ')}` };
+  if (lines.length - 1 > maxRows) return { error: `CSV has more than ${maxRows} rows; split it into smaller files` };
+
+  const records = lines.slice(1).map(({ cells, line }) => {
+    const values = {};
+    columns.forEach((column, index) => {
+      if (column && !(column in values)) values[column] = (cells[index] || '').trim();
+    });
+    return { line, values };
+  });
+  return { columns, records };
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  readCsvRecords,
+};
@@ -0,0 +1,182 @@
+// Waitlist invite checkouts and what becomes of them.
+//
+// An invite is a one-time beta checkout session tied to the waitlist entry
+// through session metadata.waitlist_customer_id. The entry tracks its current
+// invite session:
+//   waitlist_invite_session_id, waitlist_invite_status open | completed | expired,
+//   waitlist_invite_expires_at, waitlist_invite_outcome_at,
+//   waitlist_invite_reissue_count (automatic reissues since the last admin invite)
+// Stripe sends no event when a checkout page is opened, so only completion and
+// expiry are recorded.
+//
+// The webhook marks the invite completed with the checkout. On
+// checkout.session.expired it reissues the invite (a fresh session, emailed to
+// the entry) until WAITLIST_INVITE_MAX_REISSUES is used up, then moves the entry
+// to invite_expired for an admin to follow up.
+//
+// Environment Variables:
+//   WAITLIST_INVITE_MAX_REISSUES — automatic reissues per invite (default 2, 0 turns them off)
+//   WAITLIST_INVITE_FROM         — sender for invite emails (optional)
+
+const { stripe, licenseStore, cleanText, normalizeEmail } = require('./_license-utils');
+const { renderEmail } = require('./_email-templates');
+const { sendEmail } = require('./_email-transport');
+
+const INVITE_EXPIRY_SECONDS = 23 * 60 * 60;
+const INVITE_EXPIRY_LABEL = '23 hours';
+
+function getMaxInviteReissues() {
+  const configured = parseInt(process.env.WAITLIST_INVITE_MAX_REISSUES ?? '2', 10);
+  return Number.isFinite(configured) ? Math.max(0, configured) : 2;
+}
+
+async function createInviteForCustomer(email, name, customerId, referralCode = '') {
+  const priceId = process.env.BETA_PRICE_ID;
+  if (!priceId) {
+    return { ok: false, error: 'BETA_PRICE_ID not configured' };
+  }
+
+  const siteUrl = process.env.SITE_URL || 'https://www.hyperfect.dev';
+  const expiresAt = Math.floor(Date.now() / 1000) + INVITE_EXPIRY_SECONDS;
+  const session = await stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: [{ price: priceId, quantity: 1 }],
+    mode: 'payment',
+    customer_email: email,
+    success_url: `${siteUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${siteUrl}/?checkout=cancelled`,
+    expires_at: expiresAt,
+    metadata: {
+      source: 'waitlist_approval',
+      plan_slug: 'beta',
+      invite_for: name || email,
+      waitlist_customer_id: customerId || '',
+      ...(referralCode ? { referral_code: referralCode } : {}),
+    },
+  });
+
+  return {
+    ok: true,
+    invite_url: session.url,
+    session_id: session.id,
+    expires_at: new Date(expiresAt * 1000).toISOString(),
+    expires_in: INVITE_EXPIRY_LABEL,
+  };
+}
+
+async function sendWaitlistInviteEmail({ email, name, inviteUrl, expiresIn }) {
+  const safeEmail = normalizeEmail(email);
+  const safeName = cleanText(name, 120) || 'there';
+  const safeInviteUrl = String(inviteUrl || '').trim();
+  if (!safeEmail || !safeInviteUrl) {
+    return { ok: false, error: 'Invite email is missing a required field' };
+  }
+
+  const rendered = renderEmail('waitlist_invite', {
+    name: safeName,
+    inviteUrl: safeInviteUrl,
+    expiresIn: cleanText(expiresIn, 40) || INVITE_EXPIRY_LABEL,
+  });
+
+  const result = await sendEmail({
+    from: process.env.WAITLIST_INVITE_FROM || '',
+    to: safeEmail,
+    ...rendered,
+  });
+
+  if (!result.ok) {
+    return {
+      ok: false,
+      error: cleanText(`Failed to send invite email: ${result.error}`, 200),
+    };
+  }
+
+  return { ok: true, id: cleanText(result.id || '', 120) };
+}
+
+// Entry metadata for a newly issued invite session. Admin invites start the
+// reissue count over.
+function buildInviteSessionPatch({ sessionId, expiresAt = '', reissueCount = 0 }) {
+  return {
+    waitlist_invite_session_id: sessionId || '',
+    waitlist_invite_status: 'open',
+    waitlist_invite_expires_at: expiresAt,
+    waitlist_invite_outcome_at: '',
+    waitlist_invite_reissue_count: String(reissueCount),
+  };
+}
+
+// Handle an expired invite session for `customer`: reissue it, or park the entry
+// as invite_expired. Returns { outcome: reissued | expired | ignored, ... }.
+async function handleExpiredInvite(customer, session) {
+  const metadata = customer.metadata || {};
+  if (metadata.waitlist_status !== 'invited') return { outcome: 'ignored', reason: 'not_invited' };
+  // A newer invite replaced this session. Entries invited before sessions were
+  // tracked have no session ID, so any of their invites counts.
+  if (metadata.waitlist_invite_session_id && metadata.waitlist_invite_session_id !== session.id) {
+    return { outcome: 'ignored', reason: 'superseded' };
+  }
+
+  const nowIso = new Date().toISOString();
+  const expiredPatch = {
+    waitlist_status: 'invite_expired',
+    waitlist_invite_session_id: session.id,
+    waitlist_invite_status: 'expired',
+    waitlist_invite_outcome_at: nowIso,
+    waitlist_updated_at: nowIso,
+  };
+
+  const email = normalizeEmail(customer.email);
+  const reissueCount = parseInt(metadata.waitlist_invite_reissue_count || '0', 10) || 0;
+  const canReissue = email
+    && reissueCount < getMaxInviteReissues()
+    && !metadata.license_key
+    && !metadata.email_hard_bounced_at
+    && !metadata.email_complained_at;
+  if (!canReissue) {
+    await licenseStore.update(customer.id, expiredPatch);
+    return { outcome: 'expired', reissues: reissueCount };
+  }
+
+  const name = metadata.waitlist_name || customer.name || email;
+  const invite = await createInviteForCustomer(email, name, customer.id, metadata.waitlist_referral_code || '');
+  if (!invite.ok) {
+    await licenseStore.update(customer.id, expiredPatch);
+    return { outcome: 'expired', reissues: reissueCount, error: invite.error };
+  }
+
+  const emailResult = await sendWaitlistInviteEmail({
+    email,
+    name,
+    inviteUrl: invite.invite_url,
+    expiresIn: invite.expires_in,
+  });
+  await licenseStore.update(customer.id, {
+    ...buildInviteSessionPatch({
+      sessionId: invite.session_id,
+      expiresAt: invite.expires_at,
+      reissueCount: reissueCount + 1,
+    }),
+    waitlist_invited_at: nowIso,
+    waitlist_updated_at: nowIso,
+    ...(emailResult.ok
+      ? { waitlist_invite_email_sent_at: nowIso, waitlist_invite_email_id: emailResult.id || '', waitlist_invite_email_error: '' }
+      : { waitlist_invite_email_error: cleanText(emailResult.error, 200) }),
+  });
+  return {
+    outcome: 'reissued',
+    reissues: reissueCount + 1,
+    session_id: invite.session_id,
+    email_sent: !!emailResult.ok,
+  };
+}
+
+module.exports = {
+  INVITE_EXPIRY_SECONDS,
+  INVITE_EXPIRY_LABEL,
+  getMaxInviteReissues,
+  createInviteForCustomer,
+  sendWaitlistInviteEmail,
+  buildInviteSessionPatch,
+  handleExpiredInvite,
+};
@@ -0,0 +1,294 @@
+// Waitlist queue position, status links and referral boosts.
+//
+// Every applicant gets a share code (waitlist_share_code, e.g. WL-7K3QP9). The
+// share link is ${SITE_URL}/?ref=CODE; the landing page sends the code back as
+// the waitlist `ref`, and each new signup through it counts once for the
+// referrer and moves them up the queue.
+//
+// The queue holds pending and approved entries, ordered by priority score: hours
+// waited since signup plus WAITLIST_REFERRAL_BOOST_HOURS per referral, highest
+// first. Applicants see their place through a signed status link emailed at
+// signup (/waitlist-status?token=..., backed by GET /api/waitlist/status).
+//
+// Status pages and emails rank against a snapshot of the queue cached for
+// QUEUE_CACHE_TTL_MS per instance instead of listing the whole queue each time.
+// Scores all grow with time at the same rate, so a snapshot keeps the order; the
+// applicant's own entry is always scored fresh against it.
+//
+// Metadata: waitlist_share_code, waitlist_referral_count, waitlist_referral_last_at,
+// waitlist_referred_by (referrer's share code), waitlist_referrer_id,
+// waitlist_status_email_sent_at
+//
+// Environment Variables:
+//   WAITLIST_REFERRAL_BOOST_HOURS — queue credit per referral (default 72)
+//   WAITLIST_STATUS_SECRET        — signs status and verification links (falls back to LICENSE_PORTAL_SECRET, then ADMIN_SECRET)
+
+const crypto = require('crypto');
+const { licenseStore, cleanText, normalizeEmail } = require('./_license-utils');
+const { renderEmail } = require('./_email-templates');
+const { sendEmail } = require('./_email-transport');
+
+const SHARE_CODE_PATTERN = /^WL-[A-Z2-9]{6}$/;
+const SHARE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const QUEUE_STATUSES = new Set(['pending', 'approved']);
+const QUEUE_SCAN_LIMIT = 2000;
+const STATUS_TOKEN_TTL_MS = 180 * 24 * 60 * 60 * 1000;
+const STATUS_EMAIL_COOLDOWN_MS = 10 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const QUEUE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+function getReferralBoostHours() {
+  const configured = Number(process.env.WAITLIST_REFERRAL_BOOST_HOURS ?? 72);
+  return Number.isFinite(configured) ? Math.max(0, configured) : 72;
+}
+
+function getSiteUrl() {
+  return process.env.SITE_URL || 'https://www.hyperfect.dev';
+}
+
+function generateShareCode() {
+  const bytes = crypto.randomBytes(6);
+  let code = '';
+  for (const byte of bytes) code += SHARE_CODE_ALPHABET[byte % SHARE_CODE_ALPHABET.length];
+  return `WL-${code}`;
+}
+
+function normalizeShareCode(value) {
+  const code = cleanText(value, 16).toUpperCase();
+  return SHARE_CODE_PATTERN.test(code) ? code : '';
+}
+
+function getShareUrl(code) {
+  return code ? `${getSiteUrl()}/?ref=${encodeURIComponent(code)}` : '';
+}
+
+function getQueueStatus(metadata = {}) {
+  return cleanText(metadata.waitlist_status, 32).toLowerCase() || (metadata.waitlist === 'true' ? 'pending' : '');
+}
+
+function getJoinedAt(customer) {
+  const metadata = customer?.metadata || {};
+  const ts = Date.parse(metadata.waitlist_created_at || '');
+  if (!Number.isNaN(ts)) return ts;
+  return customer?.created ? customer.created * 1000 : Date.now();
+}
+
+function getReferralCount(metadata = {}) {
+  return parseInt(metadata.waitlist_referral_count || '0', 10) || 0;
+}
+
+function getPriorityScore(customer, now = Date.now()) {
+  const waitedHours = Math.max(0, now - getJoinedAt(customer)) / HOUR_MS;
+  const score = waitedHours + getReferralCount(customer?.metadata) * getReferralBoostHours();
+  return Math.round(score * 10) / 10;
+}
+
+async function findEntryByShareCode(rawCode) {
+  const code = normalizeShareCode(rawCode);
+  if (!code) return null;
+  const [entry] = await licenseStore.listByMetadata('waitlist_share_code', code, { limit: 1 });
+  return entry && !entry.deleted ? entry : null;
+}
+
+// Give an older waitlist entry a share code if it doesn't have one yet.
+async function ensureShareCode(customer) {
+  if (customer?.metadata?.waitlist_share_code) return customer;
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const code = generateShareCode();
+    if (await findEntryByShareCode(code)) continue;
+    return licenseStore.update(customer.id, { waitlist_share_code: code });
+  }
+  throw new Error('Could not allocate a unique waitlist share code');
+}
+
+// Count a new signup for the entry behind `code`. Each referee counts once, and
+// nobody can refer themselves.
+async function creditWaitlistReferral({ code, referee }) {
+  const referrer = await findEntryByShareCode(code);
+  if (!referrer) return { credited: false, reason: 'unknown_code' };
+  if (referrer.id === referee.id || normalizeEmail(referrer.email) === normalizeEmail(referee.email)) {
+    return { credited: false, reason: 'self_referral' };
+  }
+  if (referee.metadata?.waitlist_referred_by) return { credited: false, reason: 'already_referred' };
+
+  await licenseStore.update(referee.id, {
+    waitlist_referred_by: normalizeShareCode(code),
+    waitlist_referrer_id: referrer.id,
+  });
+  const updated = await licenseStore.update(referrer.id, {
+    waitlist_referral_count: String(getReferralCount(referrer.metadata) + 1),
+    waitlist_referral_last_at: new Date().toISOString(),
+  });
+  return { credited: true, referrer_id: referrer.id, referrals: getReferralCount(updated?.metadata) };
+}
+
+// Queue entries, highest priority first (earlier signup breaks ties).
+async function listQueue(now = Date.now()) {
+  const entries = await licenseStore.listByMetadata('waitlist', 'true', { limit: QUEUE_SCAN_LIMIT });
+  return entries
+    .filter((customer) => !customer.deleted && QUEUE_STATUSES.has(getQueueStatus(customer.metadata)))
+    .map((customer) => ({ customer, score: getPriorityScore(customer, now), joinedAt: getJoinedAt(customer) }))
+    .sort((a, b) => b.score - a.score || a.joinedAt - b.joinedAt);
+}
+
+// { at, entries: [{ id, score, joinedAt }] }, shared by concurrent callers.
+let _queueSnapshot = null;
+let _queueSnapshotPromise = null;
+
+async function getQueueSnapshot() {
+  if (_queueSnapshot && Date.now() - _queueSnapshot.at < QUEUE_CACHE_TTL_MS) return _queueSnapshot;
+  if (!_queueSnapshotPromise) {
+    const at = Date.now();
+    _queueSnapshotPromise = listQueue(at)
+      .then((queue) => {
+        _queueSnapshot = {
+          at,
+          entries: queue.map((entry) => ({ id: entry.customer.id, score: entry.score, joinedAt: entry.joinedAt })),
+        };
+        return _queueSnapshot;
+      })
+      .finally(() => {
+        _queueSnapshotPromise = null;
+      });
+  }
+  return _queueSnapshotPromise;
+}
+
+// Place of `customer` in the cached queue, scoring their own entry from the
+// record passed in (so a new referral or a just-verified signup shows at once).
+async function getQueuePosition(customer) {
+  if (!QUEUE_STATUSES.has(getQueueStatus(customer?.metadata))) return { position: null, queue_size: null };
+  const snapshot = await getQueueSnapshot();
+  const score = getPriorityScore(customer, snapshot.at);
+  const joinedAt = getJoinedAt(customer);
+  let ahead = 0;
+  let listed = false;
+  for (const entry of snapshot.entries) {
+    if (entry.id === customer.id) {
+      listed = true;
+      continue;
+    }
+    if (entry.score > score || (entry.score === score && entry.joinedAt < joinedAt)) ahead += 1;
+  }
+  return { position: ahead + 1, queue_size: snapshot.entries.length + (listed ? 0 : 1) };
+}
+
+// ──── Signed links (status, signup verification) ────
+
+// Each purpose (status, verify) gets its own key derived from the secret, so a
+// link for one can't be used as the other, or as a portal or update token
+// signed with the same value.
+function getTokenKey(purpose) {
+  const secret = String(
+    process.env.WAITLIST_STATUS_SECRET ||
+      process.env.LICENSE_PORTAL_SECRET ||
+      process.env.ADMIN_SECRET ||
+      ''
+  ).trim();
+  if (!secret) throw new Error('WAITLIST_STATUS_SECRET not configured');
+  return crypto.createHmac('sha256', secret).update(`waitlist-${purpose}`).digest();
+}
+
+function base64Url(input) {
+  return Buffer.from(input).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+function signWaitlistToken(customer, purpose, ttlMs) {
+  const body = base64Url(JSON.stringify({
+    cid: customer.id,
+    email: normalizeEmail(customer.email),
+    exp: Date.now() + ttlMs,
+  }));
+  const sig = base64Url(crypto.createHmac('sha256', getTokenKey(purpose)).update(body).digest());
+  return `${body}.${sig}`;
+}
+
+function verifyWaitlistToken(token, purpose) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = base64Url(crypto.createHmac('sha256', getTokenKey(purpose)).update(body).digest());
+  if (sig.length !== expected.length) return null;
+  if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    if (!payload || typeof payload !== 'object' || !payload.cid) return null;
+    if (!payload.exp || Date.now() > payload.exp) return null;
+    return payload;
+  } catch (_) {
+    return null;
+  }
+}
+
+function signStatusToken(customer) {
+  return signWaitlistToken(customer, 'status', STATUS_TOKEN_TTL_MS);
+}
+
+function verifyStatusToken(token) {
+  return verifyWaitlistToken(token, 'status');
+}
+
+function getStatusUrl(customer) {
+  return `${getSiteUrl()}/waitlist-status?token=${encodeURIComponent(signStatusToken(customer))}`;
+}
+
+// What the applicant sees on the status page.
+async function buildStatusView(customer) {
+  const metadata = customer.metadata || {};
+  const { position, queue_size: queueSize } = await getQueuePosition(customer);
+  return {
+    name: metadata.waitlist_name || customer.name || '',
+    status: getQueueStatus(metadata),
+    position,
+    queue_size: queueSize,
+    referrals: getReferralCount(metadata),
+    priority_score: getPriorityScore(customer),
+    share_code: metadata.waitlist_share_code || '',
+    share_url: getShareUrl(metadata.waitlist_share_code),
+    joined_at: new Date(getJoinedAt(customer)).toISOString(),
+  };
+}
+
+// Email the applicant their status and share links. Re-submitting the waitlist
+// form resends it, at most once per cooldown.
+async function sendWaitlistStatusEmail(customer, { force = false } = {}) {
+  const metadata = customer?.metadata || {};
+  const email = normalizeEmail(customer?.email);
+  if (!email) return { ok: false, error: 'Waitlist entry has no email' };
+  const lastSent = Date.parse(metadata.waitlist_status_email_sent_at || '');
+  if (!force && !Number.isNaN(lastSent) && Date.now() - lastSent < STATUS_EMAIL_COOLDOWN_MS) {
+    return { ok: false, skipped: true, error: 'Status email sent recently' };
+  }
+
+  const { position } = await getQueuePosition(customer);
+  const rendered = renderEmail('waitlist_welcome', {
+    name: metadata.waitlist_name || customer.name || '',
+    statusUrl: getStatusUrl(customer),
+    shareUrl: getShareUrl(metadata.waitlist_share_code),
+    position: position || '',
+  });
+  const result = await sendEmail({ from: process.env.WAITLIST_INVITE_FROM || '', to: email, ...rendered });
+  if (!result.ok) return { ok: false, error: cleanText(result.error, 200) };
+  await licenseStore.update(customer.id, { waitlist_status_email_sent_at: new Date().toISOString() });
+  return { ok: true, id: cleanText(result.id || '', 120) };
+}
+
+module.exports = {
+  QUEUE_STATUSES,
+  getReferralBoostHours,
+  generateShareCode,
+  normalizeShareCode,
+  getShareUrl,
+  getPriorityScore,
+  findEntryByShareCode,
+  ensureShareCode,
+  creditWaitlistReferral,
+  listQueue,
+  getQueuePosition,
+  signWaitlistToken,
+  verifyWaitlistToken,
+  signStatusToken,
+  verifyStatusToken,
+  getStatusUrl,
+  buildStatusView,
+  sendWaitlistStatusEmail,
+};
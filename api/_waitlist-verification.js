@@ -0,0 +1,160 @@
+// Double opt-in for waitlist signups.
+//
+// New signups start as `unverified` and get a waitlist_verify email with a signed
+// link to GET /api/waitlist/verify?token=... Following it moves the entry to
+// pending, credits the waitlist share code it signed up with and sends the
+// status email (_waitlist-queue.js). Unverified entries never join the queue and
+// the admin list hides them unless asked.
+//
+// A daily cron (GET /api/waitlist?action=purge_unverified) purges entries still
+// unverified WAITLIST_UNVERIFIED_TTL_DAYS after their last submission (which
+// sent the latest verify link; imported signups may be backdated): records
+// holding nothing but waitlist data are deleted, anything else only loses its
+// waitlist metadata.
+//
+// Metadata: waitlist_verify_email_sent_at, waitlist_verified_at,
+//   waitlist_signup_ref (share code, credited on verification)
+//
+// Environment Variables:
+//   WAITLIST_UNVERIFIED_TTL_DAYS — days before unverified signups are purged (default 7)
+
+const { licenseStore, cleanText, normalizeEmail } = require('./_license-utils');
+const { renderEmail } = require('./_email-templates');
+const { sendEmail } = require('./_email-transport');
+const {
+  signWaitlistToken,
+  verifyWaitlistToken,
+  signStatusToken,
+  creditWaitlistReferral,
+  sendWaitlistStatusEmail,
+} = require('./_waitlist-queue');
+
+const VERIFY_EMAIL_COOLDOWN_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bounce and complaint tracking (email-events.js) may sit on a signup record too.
+const DISPOSABLE_KEY_PATTERN = /^(waitlist$|waitlist_|email_)/;
+
+function getUnverifiedTtlDays() {
+  const configured = Number(process.env.WAITLIST_UNVERIFIED_TTL_DAYS ?? 7);
+  return Number.isFinite(configured) && configured > 0 ? configured : 7;
+}
+
+function getSiteUrl() {
+  return process.env.SITE_URL || 'https://www.hyperfect.dev';
+}
+
+// The verify link lasts as long as the entry survives the purge.
+function getVerifyUrl(customer) {
+  const token = signWaitlistToken(customer, 'verify', getUnverifiedTtlDays() * DAY_MS);
+  return `${getSiteUrl()}/api/waitlist/verify?token=${encodeURIComponent(token)}`;
+}
+
+// Where the verify route sends the browser afterwards.
+function getVerifiedRedirectUrl(customer) {
+  return `${getSiteUrl()}/waitlist-status?verified=1&token=${encodeURIComponent(signStatusToken(customer))}`;
+}
+
+function getVerifyFailedRedirectUrl() {
+  return `${getSiteUrl()}/waitlist-status?verify_error=1`;
+}
+
+async function sendVerificationEmail(customer, { force = false } = {}) {
+  const metadata = customer?.metadata || {};
+  const email = normalizeEmail(customer?.email);
+  if (!email) return { ok: false, error: 'Waitlist entry has no email' };
+  const lastSent = Date.parse(metadata.waitlist_verify_email_sent_at || '');
+  if (!force && !Number.isNaN(lastSent) && Date.now() - lastSent < VERIFY_EMAIL_COOLDOWN_MS) {
+    return { ok: false, skipped: true, error: 'Verification email sent recently' };
+  }
+
+  const rendered = renderEmail('waitlist_verify', {
+    name: metadata.waitlist_name || customer.name || '',
+    verifyUrl: getVerifyUrl(customer),
+    ttlDays: getUnverifiedTtlDays(),
+  });
+  const result = await sendEmail({ from: process.env.WAITLIST_INVITE_FROM || '', to: email, ...rendered });
+  if (!result.ok) return { ok: false, error: cleanText(result.error, 200) };
+  await licenseStore.update(customer.id, { waitlist_verify_email_sent_at: new Date().toISOString() });
+  return { ok: true, id: cleanText(result.id || '', 120) };
+}
+
+// Verify the entry behind `token`. Returns { ok, customer?, verified?, error? };
+// following the link again after verification is fine (verified: false).
+async function verifyWaitlistEntry(token) {
+  const payload = verifyWaitlistToken(token, 'verify');
+  if (!payload) return { ok: false, error: 'invalid_token' };
+
+  const customer = await licenseStore.getById(payload.cid);
+  const metadata = customer?.metadata || {};
+  if (!customer || customer.deleted || normalizeEmail(customer.email) !== payload.email || !metadata.waitlist_status) {
+    return { ok: false, error: 'not_found' };
+  }
+  if (metadata.waitlist_status !== 'unverified') return { ok: true, customer, verified: false };
+
+  const nowIso = new Date().toISOString();
+  let updated = await licenseStore.update(customer.id, {
+    waitlist_status: 'pending',
+    waitlist_verified_at: nowIso,
+    waitlist_updated_at: nowIso,
+    waitlist_signup_ref: '',
+  });
+
+  if (metadata.waitlist_signup_ref) {
+    try {
+      await creditWaitlistReferral({ code: metadata.waitlist_signup_ref, referee: updated });
+    } catch (err) {
+      console.error(`Waitlist referral credit failed for ${customer.id}:`, err?.message || String(err));
+    }
+  }
+  try {
+    const emailResult = await sendWaitlistStatusEmail(updated, { force: true });
+    if (!emailResult.ok) console.error(`Waitlist status email failed for ${customer.id}: ${emailResult.error}`);
+  } catch (err) {
+    console.error(`Waitlist status email failed for ${customer.id}:`, err?.message || String(err));
+  }
+  updated = (await licenseStore.getById(customer.id)) || updated;
+  return { ok: true, customer: updated, verified: true };
+}
+
+// Purge entries that stayed unverified past the TTL. Returns a report for the cron log.
+async function purgeUnverifiedEntries({ now = Date.now(), limit = 500 } = {}) {
+  const cutoff = now - getUnverifiedTtlDays() * DAY_MS;
+  const entries = await licenseStore.listByMetadata('waitlist_status', 'unverified', { limit });
+  const report = { checked: entries.length, deleted: 0, cleared: 0, failed: 0 };
+
+  for (const customer of entries) {
+    const metadata = customer.metadata || {};
+    const submittedTs = Date.parse(metadata.waitlist_last_submitted_at || metadata.waitlist_created_at || '')
+      || (customer.created ? customer.created * 1000 : now);
+    if (submittedTs > cutoff) continue;
+
+    try {
+      const keys = Object.keys(metadata);
+      if (keys.every((key) => DISPOSABLE_KEY_PATTERN.test(key))) {
+        await licenseStore.remove(customer.id);
+        report.deleted += 1;
+      } else {
+        const patch = {};
+        for (const key of keys) {
+          if (key === 'waitlist' || key.startsWith('waitlist_')) patch[key] = '';
+        }
+        await licenseStore.update(customer.id, patch);
+        report.cleared += 1;
+      }
+    } catch (err) {
+      report.failed += 1;
+      console.error(`Unverified waitlist purge failed for ${customer.id}:`, err?.message || String(err));
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  getUnverifiedTtlDays,
+  getVerifyUrl,
+  getVerifiedRedirectUrl,
+  getVerifyFailedRedirectUrl,
+  sendVerificationEmail,
+  verifyWaitlistEntry,
+  purgeUnverifiedEntries,
+};
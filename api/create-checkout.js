@@ -2,7 +2,22 @@
 // Supports: one-time payments, subscriptions, free trials, discount codes
 //
 // Usage: POST /api/create-checkout
-// Body: { "priceId": "price_xxx", "mode": "subscription"|"payment", "trialDays": 7, "coupon": "LAUNCH20" }
+// Body: { "plan": "pro-monthly", "customerEmail": "optional@example.com", "ref": "REF-XXXXXX" }
+// (ref may also be passed as ?ref= — a referral code credited by the webhook)
+//
+// Gift checkout (one-time plans only) — the buyer pays, the recipient redeems:
+// Body: { "plan": "lifetime", "customerEmail": "buyer@example.com",
+//         "gift": { "recipientEmail": "friend@example.com", "recipientName": "Sam",
+//                   "fromName": "Alex", "message": "Good luck!" } }
+// The webhook stores a gift code and emails it to the recipient (_license-gifts.js).
+//
+// A repeat purchase adds a seat to the customer's license. When customerEmail
+// belongs to a license where another seat would add no machines, the checkout
+// is refused with 409 (the webhook refunds such purchases made without an email).
+//
+// Price, mode and trial length come from the server-side plan catalog
+// (_plan-catalog.js, listed at GET /api/plans). Discount codes are entered on
+// the Stripe checkout page.
 //
 // Environment Variables (set in Vercel Dashboard > Settings > Environment Variables):
 //   STRIPE_SECRET_KEY  — your Stripe secret key (sk_live_...)
@@ -10,6 +25,15 @@
 //   SITE_URL — https://hyperfect.dev
 
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getPlan, getPlanPriceId, listPublicPlans } = require('./_plan-catalog');
+const { normalizeReferralCode } = require('./_license-referrals');
+const {
+    cleanText,
+    normalizeEmail,
+    findCustomerByEmail,
+    buildCheckoutLicensePatch,
+} = require('./_license-utils');
+const { GIFT_MESSAGE_MAX, emailLooksValid } = require('./_license-gifts');
 
 module.exports = async function handler(req, res) {
     // Handle CORS preflight
@@ -22,19 +46,69 @@ module.exports = async function handler(req, res) {
     }
 
     try {
-        const { priceId, mode = 'subscription', trialDays, coupon, customerEmail } = req.body;
+        const { plan: planSlug, customerEmail } = req.body || {};
 
+        const plan = getPlan(planSlug);
+        if (!plan || !plan.public) {
+            return res.status(400).json({
+                error: 'plan must be one of the published plan slugs',
+                plans: listPublicPlans().map((entry) => entry.slug),
+            });
+        }
+
+        const priceId = getPlanPriceId(plan);
         if (!priceId) {
-            return res.status(400).json({ error: 'priceId is required' });
+            console.error(`Checkout for plan ${plan.slug} but ${plan.priceEnv} is not configured`);
+            return res.status(503).json({ error: 'This plan is not available right now' });
+        }
+
+        let giftMetadata = {};
+        if (req.body?.gift) {
+            const gift = typeof req.body.gift === 'object' ? req.body.gift : {};
+            const recipientEmail = normalizeEmail(gift.recipientEmail);
+            if (plan.mode !== 'payment') {
+                return res.status(400).json({ error: 'Gifts are only available for one-time plans' });
+            }
+            if (!emailLooksValid(recipientEmail)) {
+                return res.status(400).json({ error: 'gift.recipientEmail must be a valid email address' });
+            }
+            // Empty optional fields are left out of the session metadata.
+            giftMetadata = Object.fromEntries(Object.entries({
+                gift: 'true',
+                gift_recipient_email: recipientEmail,
+                gift_recipient_name: cleanText(gift.recipientName, 80),
+                gift_from_name: cleanText(gift.fromName, 80),
+                gift_message: cleanText(gift.message, GIFT_MESSAGE_MAX),
+            }).filter(([, value]) => value));
+        }
+
+        if (customerEmail && !req.body?.gift) {
+            const existing = await findCustomerByEmail(customerEmail);
+            const preview = existing?.metadata?.license_key
+                ? buildCheckoutLicensePatch(existing.metadata, plan.licensePlan, { tier: plan.tier, planSlug: plan.slug })
+                : null;
+            if (preview?.outcome === 'seat_capped') {
+                return res.status(409).json({
+                    error: 'The license for this email already has the most machines a license can have, so another purchase would not add any. Contact support if you need more.',
+                });
+            }
         }
 
+        const referralCode = normalizeReferralCode(req.body?.ref || req.query?.ref);
+        const planMetadata = {
+            plan_slug: plan.slug,
+            license_plan: plan.licensePlan,
+            ...(referralCode ? { referral_code: referralCode } : {}),
+            ...giftMetadata,
+        };
         const sessionParams = {
             payment_method_types: ['card'],
             line_items: [{ price: priceId, quantity: 1 }],
-            mode: mode, // 'subscription' or 'payment'
+            mode: plan.mode, // 'subscription' or 'payment'
             success_url: `${process.env.SITE_URL || 'https://hyperfect.dev'}/success?session_id={CHECKOUT_SESSION_ID}`,
             cancel_url: `${process.env.SITE_URL || 'https://hyperfect.dev'}/?checkout=cancelled`,
             allow_promotion_codes: true, // Lets users enter discount codes at checkout
+            metadata: planMetadata,
         };
 
         // Pre-fill customer email if provided
@@ -42,20 +116,14 @@ module.exports = async function handler(req, res) {
             sessionParams.customer_email = customerEmail;
         }
 
-        // Add free trial (subscription mode only)
-        if (trialDays && mode === 'subscription') {
+        // Subscriptions carry the plan too, so later subscription events can find it
+        if (plan.mode === 'subscription') {
             sessionParams.subscription_data = {
-                trial_period_days: parseInt(trialDays),
+                metadata: planMetadata,
+                ...(plan.trialDays ? { trial_period_days: plan.trialDays } : {}),
             };
         }
 
-        // Apply a specific coupon programmatically
-        if (coupon) {
-            sessionParams.discounts = [{ coupon: coupon }];
-            // Can't use both discounts and allow_promotion_codes
-            delete sessionParams.allow_promotion_codes;
-        }
-
         const session = await stripe.checkout.sessions.create(sessionParams);
 
         return res.status(200).json({
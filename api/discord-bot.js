@@ -10,6 +10,7 @@
 // Slash Commands:
 //   /invite <email> [name] — Generate a beta checkout link for a tester (admin)
 //   /waitlist ... — Single admin command for queue actions (list/status/approve/reject/invite)
+//   /invite-code <action> ... — Create, list and disable reusable invite codes (admin)
 //   /license-bind <license_key> [email] — Bind your Discord account to your license key (member command)
 //
 // Environment Variables:
@@ -21,7 +22,9 @@
 
 const nacl = require('tweetnacl');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { normalizeLicenseKey, findCustomerByLicenseKey } = require('./_license-utils');
+const { licenseStore, normalizeLicenseKey, findCustomerByLicenseKey } = require('./_license-utils');
+const { listInviteCodes, createInviteCode, disableInviteCode } = require('./_invite-codes');
+const { buildInviteSessionPatch } = require('./_waitlist-invites');
 
 // Discord interaction types
 const INTERACTION_TYPE = {
@@ -34,11 +37,12 @@ const INTERACTION_RESPONSE_TYPE = {
     CHANNEL_MESSAGE: 4,
 };
 
-const WAITLIST_STATUSES = new Set(['pending', 'approved', 'rejected', 'invited', 'converted']);
+const WAITLIST_STATUSES = new Set(['unverified', 'pending', 'approved', 'rejected', 'invited', 'invite_expired', 'converted']);
 const INVITE_EXPIRY_SECONDS = 23 * 60 * 60;
 const INVITE_EXPIRY_LABEL = '23h';
 const ADMIN_ONLY_COMMANDS = new Set([
     'invite',
+    'invite-code',
     'waitlist',
     'waitlist-list',
     'waitlist-status',
@@ -110,6 +114,13 @@ function getOptionValue(options, key, fallback = '') {
     return options?.find(o => o?.name === key)?.value ?? fallback;
 }
 
+function formatInviteCode(invite) {
+    const expires = invite.expires_at ? invite.expires_at.slice(0, 10) : 'never';
+    const label = invite.label ? ` — ${invite.label}` : '';
+    const tier = invite.tier ? `, tier ${invite.tier}` : '';
+    return `\`${invite.code}\`${label}: **${invite.state}**, ${invite.redemptions}/${invite.max_redemptions} used${invite.reserved ? ` (${invite.reserved} in checkout)` : ''}${tier}, expires ${expires}`;
+}
+
 function getWaitlistStatus(metadata = {}) {
     const status = cleanText(metadata.waitlist_status, 32).toLowerCase();
     if (WAITLIST_STATUSES.has(status)) return status;
@@ -170,6 +181,8 @@ async function listWaitlistEntries(statusFilter = 'pending', limit = 10) {
             if (!isWaitlistCustomer(customer.metadata || {})) continue;
             const mapped = mapWaitlistCustomer(customer);
             if (useStatus !== 'all' && mapped.status !== useStatus) continue;
+            // Unconfirmed signups only show up when asked for by name.
+            if (useStatus === 'all' && mapped.status === 'unverified') continue;
             rows.push(mapped);
             if (rows.length >= maxRows) break;
         }
@@ -203,6 +216,7 @@ async function createInviteSession(email, name, metadata = {}, expiresHours = 24
         metadata: {
             invite_for: name || email,
             source: 'discord_bot',
+            plan_slug: 'beta',
             ...metadata,
         },
     });
@@ -230,6 +244,7 @@ async function updateWaitlistByEmail(email, nextStatus, notes, commandMeta = {})
         waitlist_updated_at: now,
         waitlist_reviewed_at: now,
         waitlist_reviewed_by: cleanText(commandMeta.reviewedBy, 120),
+        waitlist_review_rule: '',
     };
 
     const updated = await stripe.customers.update(customer.id, { metadata });
@@ -372,15 +387,12 @@ module.exports = async function handler(req, res) {
                         : (actorUser?.username || ''),
                     120
                 );
-                await stripe.customers.update(customer.id, {
-                    metadata: {
-                        ...metadata,
-                        license_discord_user_id: actorDiscordId,
-                        license_discord_username: handle,
-                        license_discord_global_name: cleanText(actorUser?.global_name || '', 120),
-                        license_discord_linked_at: metadata.license_discord_linked_at || now,
-                        license_discord_last_login_at: now,
-                    },
+                await licenseStore.update(customer.id, {
+                    license_discord_user_id: actorDiscordId,
+                    license_discord_username: handle,
+                    license_discord_global_name: cleanText(actorUser?.global_name || '', 120),
+                    license_discord_linked_at: metadata.license_discord_linked_at || now,
+                    license_discord_last_login_at: now,
                 });
 
                 return res.status(200).json(
@@ -416,6 +428,49 @@ module.exports = async function handler(req, res) {
             }
         }
 
+        if (commandName === 'invite-code') {
+            const action = cleanText(getOptionValue(options, 'action', 'list'), 32).toLowerCase();
+            const code = cleanText(getOptionValue(options, 'code', ''), 40);
+            const redeemUrl = `${process.env.SITE_URL || 'https://www.hyperfect.dev'}/redeem?code=`;
+
+            try {
+                if (action === 'list') {
+                    const codes = await listInviteCodes({ state: 'all', limit: 20 });
+                    if (!codes.length) return res.status(200).json(ephemeral('No invite codes yet.'));
+                    return res.status(200).json(
+                        ephemeral(`Invite codes — showing ${codes.length}:\n${codes.map(formatInviteCode).join('\n')}`)
+                    );
+                }
+
+                if (action === 'create') {
+                    const result = await createInviteCode({
+                        code,
+                        label: getOptionValue(options, 'label', ''),
+                        maxRedemptions: getOptionValue(options, 'max_redemptions', ''),
+                        expiresInDays: getOptionValue(options, 'expires_days', ''),
+                        tier: getOptionValue(options, 'tier', ''),
+                        actor,
+                    });
+                    if (result.status !== 200) return res.status(200).json(ephemeral(result.error));
+                    return res.status(200).json(
+                        ephemeral(`Created invite code.\n${formatInviteCode(result.code)}\nShare: ${redeemUrl}${encodeURIComponent(result.code.code)}`)
+                    );
+                }
+
+                if (action === 'disable') {
+                    if (!code) return res.status(200).json(ephemeral('Code is required for disable action.'));
+                    const result = await disableInviteCode(code, { actor });
+                    if (result.status !== 200) return res.status(200).json(ephemeral(result.error));
+                    return res.status(200).json(ephemeral(`Disabled invite code.\n${formatInviteCode(result.code)}`));
+                }
+
+                return res.status(200).json(ephemeral('Unknown invite-code action. Use one of: create, list, disable.'));
+            } catch (err) {
+                console.error('Discord invite-code error:', err.message);
+                return res.status(200).json(ephemeral(`Error managing invite codes: ${err.message}`));
+            }
+        }
+
         if (commandName === 'waitlist') {
             const action = cleanText(getOptionValue(options, 'action', 'list'), 32).toLowerCase();
             const email = normalizeEmail(getOptionValue(options, 'email'));
@@ -513,6 +568,10 @@ module.exports = async function handler(req, res) {
                             waitlist_status: 'invited',
                             waitlist_invited_at: now,
                             waitlist_updated_at: now,
+                            ...buildInviteSessionPatch({
+                                sessionId: session.id,
+                                expiresAt: new Date(session.expires_at * 1000).toISOString(),
+                            }),
                         },
                     });
 
@@ -651,6 +710,10 @@ module.exports = async function handler(req, res) {
                         waitlist_status: 'invited',
                         waitlist_invited_at: now,
                         waitlist_updated_at: now,
+                        ...buildInviteSessionPatch({
+                            sessionId: session.id,
+                            expiresAt: new Date(session.expires_at * 1000).toISOString(),
+                        }),
                     },
                 });
 
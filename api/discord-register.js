@@ -52,9 +52,11 @@ const COMMANDS = [
                 type: 3, // STRING
                 required: false,
                 choices: [
+                    { name: 'unverified', value: 'unverified' },
                     { name: 'pending', value: 'pending' },
                     { name: 'approved', value: 'approved' },
                     { name: 'invited', value: 'invited' },
+                    { name: 'invite_expired', value: 'invite_expired' },
                     { name: 'converted', value: 'converted' },
                     { name: 'rejected', value: 'rejected' },
                     { name: 'all', value: 'all' },
@@ -82,6 +84,62 @@ const COMMANDS = [
             },
         ],
     },
+    {
+        name: 'invite-code',
+        description: 'Admin: manage reusable invite codes',
+        options: [
+            {
+                name: 'action',
+                description: 'What to do',
+                type: 3, // STRING
+                required: true,
+                choices: [
+                    { name: 'create', value: 'create' },
+                    { name: 'list', value: 'list' },
+                    { name: 'disable', value: 'disable' },
+                ],
+            },
+            {
+                name: 'code',
+                description: 'Code (required for disable; generated for create when omitted)',
+                type: 3, // STRING
+                required: false,
+            },
+            {
+                name: 'max_redemptions',
+                description: 'Completed checkouts allowed (create, default 100)',
+                type: 4, // INTEGER
+                required: false,
+                min_value: 1,
+                max_value: 10000,
+            },
+            {
+                name: 'expires_days',
+                description: 'Days until the code expires (create, default 30)',
+                type: 4, // INTEGER
+                required: false,
+                min_value: 1,
+                max_value: 365,
+            },
+            {
+                name: 'tier',
+                description: 'License tier granted (create, default from the beta plan)',
+                type: 3, // STRING
+                required: false,
+                choices: [
+                    { name: 'basic', value: 'basic' },
+                    { name: 'pro', value: 'pro' },
+                    { name: 'unlimited', value: 'unlimited' },
+                ],
+            },
+            {
+                name: 'label',
+                description: 'Where the code is shared, e.g. "Career podcast ep. 12" (create)',
+                type: 3, // STRING
+                required: false,
+            },
+        ],
+    },
     {
         name: 'license-bind',
         description: 'Link your Discord account to your Nexus license',
@@ -0,0 +1,142 @@
+// Vercel Serverless Function: Resend delivery webhook
+// Records delivered / bounced / complained events against the customer whose
+// email address received the message, so admins can see dead addresses.
+//
+// Setup:
+//   1. Resend Dashboard → Webhooks → Add endpoint
+//      https://www.hyperfect.dev/api/email-events
+//   2. Subscribe to email.delivered, email.bounced and email.complained
+//   3. Copy the signing secret → add as RESEND_WEBHOOK_SECRET env var in Vercel
+//
+// Metadata written on the customer:
+//   email_last_event, email_last_event_at — most recent recorded event
+//   email_hard_bounced_at, email_bounce_reason — set by a hard bounce, cleared
+//                                                 by a later delivery
+//   email_complained_at — recipient marked a message as spam
+//
+// Environment Variables:
+//   RESEND_WEBHOOK_SECRET — webhook signing secret (whsec_...)
+
+const crypto = require('crypto');
+const { licenseStore, cleanText, findCustomerByEmail } = require('./_license-utils');
+
+// Resend signs with Svix: reject deliveries whose timestamp is too far off.
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const RECORDED_EVENTS = new Set(['email.delivered', 'email.bounced', 'email.complained']);
+
+// Verify a Svix signature: HMAC-SHA256 over "<id>.<timestamp>.<body>" keyed with
+// the base64 part of the whsec_ secret. The header may carry several "v1,<sig>"
+// entries during secret rotation.
+function verifyResendSignature(rawBody, headers) {
+    const secret = String(process.env.RESEND_WEBHOOK_SECRET || '').trim();
+    const id = String(headers['svix-id'] || '');
+    const timestamp = String(headers['svix-timestamp'] || '');
+    const signatureHeader = String(headers['svix-signature'] || '');
+    if (!secret || !id || !timestamp || !signatureHeader) return false;
+
+    const seconds = parseInt(timestamp, 10);
+    if (!Number.isFinite(seconds) || Math.abs(Date.now() / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const expected = crypto
+        .createHmac('sha256', Buffer.from(secret.replace(/^whsec_/, ''), 'base64'))
+        .update(`${id}.${timestamp}.${rawBody}`)
+        .digest();
+
+    return signatureHeader.split(' ').some((entry) => {
+        const [version, signature] = entry.split(',');
+        if (version !== 'v1' || !signature) return false;
+        const provided = Buffer.from(signature, 'base64');
+        return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    });
+}
+
+// Resend only reports permanent rejections as email.bounced, but keep an
+// explicit transient bounce type from flagging the address.
+function isHardBounce(bounce = {}) {
+    const type = String(bounce.type || '').toLowerCase();
+    return type !== 'transient' && type !== 'soft';
+}
+
+function buildEmailEventPatch(type, data, occurredAt, metadata = {}) {
+    const patch = {
+        email_last_event: type.replace(/^email\./, ''),
+        email_last_event_at: occurredAt,
+    };
+
+    if (type === 'email.bounced' && isHardBounce(data.bounce)) {
+        patch.email_hard_bounced_at = occurredAt;
+        patch.email_bounce_reason = cleanText(data.bounce?.message || data.bounce?.subType || 'Hard bounce', 200);
+    }
+    if (type === 'email.complained') {
+        patch.email_complained_at = occurredAt;
+    }
+    // A later successful delivery proves the address works again.
+    if (type === 'email.delivered' && metadata.email_hard_bounced_at && occurredAt > metadata.email_hard_bounced_at) {
+        patch.email_hard_bounced_at = '';
+        patch.email_bounce_reason = '';
+    }
+    return patch;
+}
+
+// We need raw body for signature verification
+async function getRawBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const rawBody = await getRawBody(req);
+    if (!verifyResendSignature(rawBody.toString(), req.headers || {})) {
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let event;
+    try {
+        event = JSON.parse(rawBody.toString());
+    } catch {
+        return res.status(400).json({ error: 'Invalid JSON' });
+    }
+
+    const type = String(event?.type || '');
+    if (!RECORDED_EVENTS.has(type)) {
+        return res.status(200).json({ received: true, ignored: true });
+    }
+
+    try {
+        const data = event.data || {};
+        const occurredAt = Number.isNaN(Date.parse(event.created_at || ''))
+            ? new Date().toISOString()
+            : new Date(event.created_at).toISOString();
+        const recipients = (Array.isArray(data.to) ? data.to : [data.to]).filter(Boolean);
+
+        let matched = 0;
+        for (const recipient of recipients) {
+            const customer = await findCustomerByEmail(recipient);
+            if (!customer) continue;
+            await licenseStore.update(customer.id, buildEmailEventPatch(type, data, occurredAt, customer.metadata || {}));
+            matched += 1;
+            console.log(`Email event ${type} recorded for ${customer.id} (${data.email_id || 'unknown email id'})`);
+        }
+
+        return res.status(200).json({ received: true, matched });
+    } catch (err) {
+        console.error('Email event handler error:', err?.message || String(err));
+        return res.status(500).json({ error: 'Internal email event error' });
+    }
+}
+
+module.exports = handler;
+module.exports.config = {
+    api: {
+        bodyParser: false,
+    },
+};
@@ -0,0 +1,78 @@
+// Vercel Serverless Function: License email outbox
+//
+// Admin (Authorization: Bearer <ADMIN_SECRET|DISCORD_OAUTH_ACCESS_TOKEN>):
+//   GET /api/email-outbox?status=failed|pending|all   — list undelivered license emails
+//   POST /api/email-outbox
+//   body { action: "resend", customer_id }            — resend one entry now
+//
+// Cron (Authorization: Bearer <CRON_SECRET>, scheduled in vercel.json) or admin:
+//   GET|POST /api/email-outbox?action=retry           — resend every due entry
+
+const { cleanText, findCustomerById } = require('./_license-utils');
+const { requireAdmin } = require('./_admin-auth');
+const {
+  listLicenseEmailOutbox,
+  resendLicenseEmail,
+  retryDueLicenseEmails,
+} = require('./_license-email');
+
+const OUTBOX_STATUSES = new Set(['failed', 'pending', 'all']);
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+    const action = cleanText(req.query?.action || body.action || '', 40).toLowerCase();
+    const actor = await requireAdmin(req, res, { allowCron: action === 'retry' });
+    if (!actor) return;
+
+    if (action === 'retry') {
+      const report = await retryDueLicenseEmails();
+      console.log(`Email outbox retry by ${actor.name}: ${report.sent}/${report.attempted} sent`);
+      return res.status(200).json({ success: true, ...report });
+    }
+
+    if (req.method === 'GET') {
+      const status = cleanText(req.query?.status || 'failed', 16).toLowerCase();
+      if (!OUTBOX_STATUSES.has(status)) {
+        return res.status(400).json({ success: false, error: 'status must be failed, pending or all' });
+      }
+      const entries = await listLicenseEmailOutbox({ status });
+      return res.status(200).json({ success: true, status, count: entries.length, entries });
+    }
+
+    if (action === 'resend') {
+      const customerId = cleanText(body.customer_id, 64);
+      if (!customerId) {
+        return res.status(400).json({ success: false, error: 'customer_id is required' });
+      }
+      const customer = await findCustomerById(customerId);
+      if (!customer || !(customer.metadata || {}).license_key) {
+        return res.status(404).json({ success: false, error: 'License not found' });
+      }
+
+      const result = await resendLicenseEmail(customer);
+      console.log(`License email resend for ${customerId} by ${actor.name}: ${result.ok ? 'sent' : result.error}`);
+      return res.status(result.ok ? 200 : 502).json({
+        success: !!result.ok,
+        ...(result.ok ? { id: result.id || '' } : { error: cleanText(result.error, 200) || 'Resend failed' }),
+      });
+    }
+
+    return res.status(400).json({ success: false, error: 'Unknown action' });
+  } catch (err) {
+    console.error('Email outbox error:', err?.message || String(err));
+    return res.status(500).json({ success: false, error: 'Email outbox request failed' });
+  }
+};
@@ -0,0 +1,74 @@
+// Vercel Serverless Function: Admin email template preview
+//
+// Admin (Authorization: Bearer <ADMIN_SECRET|DISCORD_OAUTH_ACCESS_TOKEN>):
+//   GET /api/email-preview                         — list templates with sample data
+//   GET /api/email-preview?template=name&format=   — render with sample data
+//   POST /api/email-preview
+//   body { template, vars?, format? }              — render with sample data + vars
+//
+// format: "html" (default, renders the email body as a page), "text", or "json"
+// ({ subject, html, text }).
+
+const { cleanText } = require('./_license-utils');
+const { requireAdmin } = require('./_admin-auth');
+const { listTemplates, renderEmail } = require('./_email-templates');
+
+const FORMATS = new Set(['html', 'text', 'json']);
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const actor = await requireAdmin(req, res);
+    if (!actor) return;
+
+    const source = req.method === 'POST'
+      ? (req.body && typeof req.body === 'object' ? req.body : {})
+      : (req.query || {});
+    const name = cleanText(source.template, 64);
+    if (!name) {
+      return res.status(200).json({ success: true, templates: listTemplates() });
+    }
+
+    const template = listTemplates().find((entry) => entry.name === name);
+    if (!template) {
+      return res.status(404).json({ success: false, error: `Unknown template: ${name}` });
+    }
+
+    const format = cleanText(source.format || 'html', 8).toLowerCase();
+    if (!FORMATS.has(format)) {
+      return res.status(400).json({ success: false, error: 'format must be html, text or json' });
+    }
+
+    const overrides = source.vars && typeof source.vars === 'object' && !Array.isArray(source.vars) ? source.vars : {};
+    let rendered;
+    try {
+      rendered = renderEmail(name, { ...template.sample, ...overrides });
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    if (format === 'json') {
+      return res.status(200).json({ success: true, template: name, ...rendered });
+    }
+    if (format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(`Subject: ${rendered.subject}\n\n${rendered.text}\n`);
+    }
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(rendered.html);
+  } catch (err) {
+    console.error('Email preview error:', err?.message || String(err));
+    return res.status(500).json({ success: false, error: 'Email preview failed' });
+  }
+};
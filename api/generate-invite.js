@@ -55,6 +55,7 @@ module.exports = async function handler(req, res) {
             metadata: {
                 invite_for: name || email,
                 source: 'beta_invite',
+                plan_slug: 'beta',
             },
         });
 
@@ -4,10 +4,13 @@
 //
 // GET /api/get-license?session_id=cs_xxx
 //
+// Gift checkouts return the gift code and recipient instead of a license key.
+//
 // Environment Variables:
 //   STRIPE_SECRET_KEY
 
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { findGiftByCheckoutSession, mapGift } = require('./_license-gifts');
 
 module.exports = async function handler(req, res) {
     res.setHeader('Access-Control-Allow-Origin', 'https://hyperfect.dev');
@@ -30,6 +33,21 @@ module.exports = async function handler(req, res) {
             return res.status(402).json({ error: 'Payment not completed' });
         }
 
+        if (session.metadata?.gift === 'true') {
+            const gift = await findGiftByCheckoutSession(session.id);
+            if (!gift) {
+                return res.status(202).json({ pending: true, message: 'Your gift is being prepared...' });
+            }
+            const summary = mapGift(gift);
+            return res.status(200).json({
+                gift: true,
+                giftCode: summary.code,
+                planName: summary.plan_name,
+                recipientEmail: summary.recipient_email,
+                emailStatus: summary.email_status,
+            });
+        }
+
         // Try to get customer from session, or search by email for $0 checkouts
         let customer = null;
 
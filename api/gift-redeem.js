@@ -0,0 +1,66 @@
+// Vercel Serverless Function: Gift license redemption (used by /redeem)
+//
+// Public:
+//   GET /api/gift-redeem?code=GIFT-XXXX-XXXX-XXXX&gift=<id>  — plan, sender and note for a gift
+//   POST /api/gift-redeem
+//   body { code, email, gift? }                              — redeem onto the license for `email`
+//
+// `gift` is the record ID from the emailed link; it finds a just-sent code
+// directly instead of through Customer Search, which lags about a minute.
+//
+// Redeeming issues a new license, or renews / extends / adds a seat to an
+// existing one for that email, and emails the key there (_license-gifts.js).
+
+const { cleanText } = require('./_license-utils');
+const { normalizeGiftCode, findGiftByCode, mapGiftPreview, redeemGift } = require('./_license-gifts');
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+    const source = req.method === 'GET' ? (req.query || {}) : body;
+    const code = normalizeGiftCode(source.code);
+    const giftId = cleanText(source.gift, 64);
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Enter a gift code like GIFT-XXXX-XXXX-XXXX' });
+    }
+
+    if (req.method === 'GET') {
+      const gift = await findGiftByCode(code, { giftId });
+      if (!gift) {
+        return res.status(404).json({ success: false, error: 'Gift code not found' });
+      }
+      return res.status(200).json({ success: true, gift: mapGiftPreview(gift) });
+    }
+
+    const result = await redeemGift({ code, email: cleanText(body.email, 320), giftId });
+    if (result.status !== 200) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      outcome: result.outcome,
+      plan: result.plan,
+      email: result.email,
+      email_sent: result.email_sent,
+      message: result.email_sent
+        ? `Gift redeemed. Your license key was emailed to ${result.email}.`
+        : `Gift redeemed onto ${result.email}. The email could not be sent yet; we'll retry, or sign in to the license dashboard to get your key.`,
+    });
+  } catch (err) {
+    console.error('Gift redeem error:', err?.message || String(err));
+    return res.status(500).json({ success: false, error: 'Gift redemption failed' });
+  }
+};
@@ -0,0 +1,79 @@
+// Vercel Serverless Function: Reusable invite codes (admin)
+//
+// Admin (Authorization: Bearer <ADMIN_SECRET|DISCORD_OAUTH_ACCESS_TOKEN>):
+//   GET /api/invite-codes?state=active|disabled|expired|exhausted|all
+//   POST /api/invite-codes
+//   body { action: "create", code?, label?, max_redemptions?, expires_at? | expires_in_days?, tier? }
+//   body { action: "disable", code }
+//
+// Codes are redeemed publicly through /api/invite-redeem (see _invite-codes.js).
+// Without `code`, create generates one (INV-XXXXXXXX); defaults are 100
+// redemptions and a 30-day expiry.
+
+const { cleanText } = require('./_license-utils');
+const { requireAdmin } = require('./_admin-auth');
+const { listInviteCodes, createInviteCode, disableInviteCode } = require('./_invite-codes');
+
+const LIST_STATES = new Set(['active', 'disabled', 'expired', 'exhausted', 'all']);
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const actor = await requireAdmin(req, res);
+    if (!actor) return;
+
+    if (req.method === 'GET') {
+      const state = cleanText(req.query?.state || 'all', 16).toLowerCase();
+      if (!LIST_STATES.has(state)) {
+        return res.status(400).json({ success: false, error: 'state must be active, disabled, expired, exhausted or all' });
+      }
+      const codes = await listInviteCodes({ state });
+      return res.status(200).json({ success: true, state, count: codes.length, codes });
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const action = cleanText(body.action, 40).toLowerCase();
+
+    if (action === 'create') {
+      const result = await createInviteCode({
+        code: body.code,
+        label: body.label,
+        maxRedemptions: body.max_redemptions,
+        expiresAt: cleanText(body.expires_at, 64),
+        expiresInDays: body.expires_in_days,
+        tier: body.tier,
+        actor: actor.name,
+      });
+      if (result.status !== 200) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      console.log(`Invite code ${result.code.code} created by ${actor.name} (${result.code.max_redemptions} uses, expires ${result.code.expires_at})`);
+      return res.status(200).json({ success: true, code: result.code });
+    }
+
+    if (action === 'disable') {
+      const result = await disableInviteCode(body.code, { actor: actor.name });
+      if (result.status !== 200) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      console.log(`Invite code ${result.code.code} disabled by ${actor.name}`);
+      return res.status(200).json({ success: true, code: result.code });
+    }
+
+    return res.status(400).json({ success: false, error: 'Unknown action' });
+  } catch (err) {
+    console.error('Invite codes error:', err?.message || String(err));
+    return res.status(500).json({ success: false, error: 'Invite code request failed' });
+  }
+};
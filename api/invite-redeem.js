@@ -0,0 +1,97 @@
+// Vercel Serverless Function: Invite code redemption (used by /redeem)
+//
+// Public:
+//   GET /api/invite-redeem?code=PODCAST24   — whether the code can still be redeemed
+//   POST /api/invite-redeem
+//   body { code, email, name? }             — mint a beta checkout session for `email`
+//
+// Returns the Stripe checkout URL; the license is issued by the webhook when the
+// checkout completes (see _invite-codes.js). Each session holds one of the code's
+// redemptions until it completes or expires, so an IP can only mint a few per
+// session lifetime.
+
+const { cleanText } = require('./_license-utils');
+const {
+  INVITE_SESSION_SECONDS,
+  normalizeInviteCode,
+  findInviteCode,
+  mapInviteCode,
+  redeemInviteCode,
+} = require('./_invite-codes');
+
+// ──── Rate limiting for checkout minting (protects codes from reservation floods) ────
+const _mintRateMap = new Map();
+const MINT_RATE_WINDOW_MS = INVITE_SESSION_SECONDS * 1000;
+const MINT_RATE_MAX = 3; // 3 checkout sessions per IP while they can still be open
+
+function isMintRateLimited(ip) {
+  const now = Date.now();
+  const key = String(ip || 'unknown');
+  const entry = _mintRateMap.get(key);
+  if (!entry || (now - entry.windowStart) > MINT_RATE_WINDOW_MS) {
+    _mintRateMap.set(key, { windowStart: now, count: 1 });
+    if (_mintRateMap.size > 5000) {
+      for (const [k, v] of _mintRateMap) {
+        if ((now - v.windowStart) > MINT_RATE_WINDOW_MS) _mintRateMap.delete(k);
+      }
+    }
+    return false;
+  }
+  entry.count += 1;
+  return entry.count > MINT_RATE_MAX;
+}
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+    const code = normalizeInviteCode(req.method === 'GET' ? req.query?.code : body.code);
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Enter a valid invite code' });
+    }
+
+    if (req.method === 'GET') {
+      const record = await findInviteCode(code);
+      if (!record) {
+        return res.status(404).json({ success: false, error: 'Invite code not found' });
+      }
+      const invite = mapInviteCode(record);
+      return res.status(200).json({
+        success: true,
+        invite: { code: invite.code, label: invite.label, state: invite.state, tier: invite.tier, expires_at: invite.expires_at },
+      });
+    }
+
+    const clientIP = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
+      || req.headers['x-real-ip']
+      || req.socket?.remoteAddress
+      || 'unknown';
+    if (isMintRateLimited(clientIP)) {
+      return res.status(429).json({ success: false, error: 'Too many redemption attempts. Please try again later.' });
+    }
+
+    const result = await redeemInviteCode({
+      code,
+      email: cleanText(body.email, 320),
+      name: cleanText(body.name, 120),
+    });
+    if (result.status !== 200) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    return res.status(200).json({ success: true, url: result.url, expires_at: result.expires_at });
+  } catch (err) {
+    console.error('Invite redeem error:', err?.message || String(err));
+    return res.status(500).json({ success: false, error: 'Invite code redemption failed' });
+  }
+};
@@ -10,6 +10,28 @@
 
 const { validateLicenseRecord, cleanText } = require('../_license-utils');
 
+// ──── Rate limiting for license validation (anti brute-force) ────
+const _licenseRateMap = new Map();
+const LICENSE_RATE_WINDOW_MS = 60_000; // 1 minute
+const LICENSE_RATE_MAX = 10;           // 10 validation attempts per IP per minute
+
+function isLicenseRateLimited(ip) {
+  const now = Date.now();
+  const key = String(ip || 'unknown');
+  const entry = _licenseRateMap.get(key);
+  if (!entry || (now - entry.windowStart) > LICENSE_RATE_WINDOW_MS) {
+    _licenseRateMap.set(key, { windowStart: now, count: 1 });
+    if (_licenseRateMap.size > 5000) {
+      for (const [k, v] of _licenseRateMap) {
+        if ((now - v.windowStart) > LICENSE_RATE_WINDOW_MS) _licenseRateMap.delete(k);
+      }
+    }
+    return false;
+  }
+  entry.count += 1;
+  return entry.count > LICENSE_RATE_MAX;
+}
+
 module.exports = async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -20,6 +42,15 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ valid: false, error: 'Method not allowed' });
   }
 
+  // Rate limit check
+  const clientIP = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
+      || req.headers['x-real-ip']
+      || req.socket?.remoteAddress
+      || 'unknown';
+  if (isLicenseRateLimited(clientIP)) {
+    return res.status(429).json({ valid: false, error: 'Too many validation attempts. Please try again later.' });
+  }
+
   try {
     const body = req.body || {};
     const key = cleanText(body.key || body.licenseKey || '', 80);
@@ -0,0 +1,186 @@
+// Vercel Serverless Function: Admin license management
+//
+// Admin (Authorization: Bearer <ADMIN_SECRET|DISCORD_OAUTH_ACCESS_TOKEN>):
+//   GET /api/license-admin?license_key=|email=|customer_id=
+//   GET /api/license-admin?report=referrals&limit=       — top referrers
+//   POST /api/license-admin
+//   body { action: "extend_expiry", license_key?|email?|customer_id?, days?, expires_at?, lifetime? }
+//   body { action: "set_entitlements", license_key?|email?|customer_id?, entitlements: {...}|null }
+//   body { action: "revoke", license_key?|email?|customer_id?, reason, note?, notify? }
+//   body { action: "reinstate", license_key?|email?|customer_id?, reason, notify? }
+//
+// Revocation reasons: fraud, chargeback, refund, abuse, key_leak, other. The code
+// is returned to the app as `reason_code`; reinstating takes a free-text reason.
+//
+// Licenses are addressed by key, purchase email or customer ID (first match wins).
+
+const {
+  licenseStore,
+  cleanText,
+  normalizeEmail,
+  normalizeLicenseKey,
+  findCustomerByEmail,
+  findCustomerByLicenseKey,
+  findCustomerById,
+  getLicenseSummary,
+  buildExpiryExtensionPatch,
+  buildRevocationPatch,
+} = require('./_license-utils');
+const { normalizeEntitlementOverrides } = require('./_license-entitlements');
+const { sendLicenseStatusEmail } = require('./_license-email');
+const { listTopReferrers } = require('./_license-referrals');
+const { requireAdmin } = require('./_admin-auth');
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+async function resolveLicenseCustomer(source = {}) {
+  const licenseKey = normalizeLicenseKey(source.license_key || source.licenseKey || '');
+  const email = normalizeEmail(source.email || '');
+  const customerId = cleanText(source.customer_id || source.customerId || '', 64);
+
+  let customer = null;
+  if (licenseKey) customer = await findCustomerByLicenseKey(licenseKey);
+  else if (customerId) customer = await findCustomerById(customerId);
+  else if (email) customer = await findCustomerByEmail(email);
+
+  if (!customer || customer.deleted || !(customer.metadata || {}).license_key) return null;
+  return customer;
+}
+
+function hasLicenseSelector(source = {}) {
+  return !!(source.license_key || source.licenseKey || source.email || source.customer_id || source.customerId);
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const actor = await requireAdmin(req, res);
+    if (!actor) return;
+
+    if (req.method === 'GET') {
+      const report = cleanText(req.query?.report, 32).toLowerCase();
+      if (report === 'referrals') {
+        const limit = Math.max(1, Math.min(100, parseInt(req.query?.limit || '25', 10) || 25));
+        const referrers = await listTopReferrers({ limit });
+        return res.status(200).json({ success: true, report, count: referrers.length, referrers });
+      }
+      if (report) {
+        return res.status(400).json({ success: false, error: 'Unknown report' });
+      }
+      if (!hasLicenseSelector(req.query || {})) {
+        return res.status(400).json({ success: false, error: 'license_key, email or customer_id is required' });
+      }
+      const customer = await resolveLicenseCustomer(req.query || {});
+      if (!customer) {
+        return res.status(404).json({ success: false, error: 'License not found' });
+      }
+      return res.status(200).json({ success: true, license: getLicenseSummary(customer) });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const action = cleanText(body.action, 40).toLowerCase();
+    if (!hasLicenseSelector(body)) {
+      return res.status(400).json({ success: false, error: 'license_key, email or customer_id is required' });
+    }
+
+    const customer = await resolveLicenseCustomer(body);
+    if (!customer) {
+      return res.status(404).json({ success: false, error: 'License not found' });
+    }
+
+    if (action === 'extend_expiry') {
+      let patch;
+      try {
+        patch = buildExpiryExtensionPatch(customer.metadata || {}, {
+          days: body.days,
+          expiresAt: cleanText(body.expires_at || '', 64),
+          lifetime: body.lifetime === true,
+          actor: actor.name,
+        });
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+
+      const updated = await licenseStore.update(customer.id, patch);
+      return res.status(200).json({ success: true, license: getLicenseSummary(updated) });
+    }
+
+    if (action === 'set_entitlements') {
+      // null clears the override and falls back to the tier defaults.
+      let overrides = null;
+      if (body.entitlements !== null) {
+        try {
+          overrides = normalizeEntitlementOverrides(body.entitlements);
+        } catch (err) {
+          return res.status(400).json({ success: false, error: err.message });
+        }
+      }
+
+      const serialized = overrides && Object.keys(overrides).length ? JSON.stringify(overrides) : '';
+      if (serialized.length > 500) {
+        return res.status(400).json({ success: false, error: 'entitlements override is too large' });
+      }
+
+      const updated = await licenseStore.update(customer.id, {
+        license_entitlements: serialized,
+        license_entitlements_updated_at: new Date().toISOString(),
+        license_entitlements_updated_by: cleanText(actor.name, 120),
+      });
+      return res.status(200).json({ success: true, license: getLicenseSummary(updated) });
+    }
+
+    if (action === 'revoke' || action === 'reinstate') {
+      const revoked = action === 'revoke';
+      const isRevoked = (customer.metadata || {}).license_revoked === 'true';
+      if (revoked === isRevoked) {
+        return res.status(409).json({
+          success: false,
+          error: revoked ? 'License is already revoked' : 'License is not revoked',
+        });
+      }
+
+      let patch;
+      try {
+        patch = buildRevocationPatch({
+          revoked,
+          // Revocations take a reason code plus optional note; reinstatement's reason is the note.
+          reason: revoked ? body.reason : '',
+          note: revoked ? body.note : body.reason,
+          actor: actor.name,
+        });
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+
+      const updated = await licenseStore.update(customer.id, patch);
+      const notification = body.notify === true && updated.email
+        ? await sendLicenseStatusEmail(updated.email, {
+          revoked,
+          reason: patch.license_revoked_reason || '',
+          licenseKey: updated.metadata?.license_key || '',
+        })
+        : null;
+
+      return res.status(200).json({
+        success: true,
+        license: getLicenseSummary(updated),
+        notification,
+      });
+    }
+
+    return res.status(400).json({ success: false, error: 'Unknown action' });
+  } catch (err) {
+    console.error('License admin error:', err?.message || String(err));
+    return res.status(500).json({ success: false, error: 'License admin request failed' });
+  }
+};
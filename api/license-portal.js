@@ -8,25 +8,60 @@
 // Authenticated (Bearer token returned by verify_code):
 //   GET /api/license-portal
 //   POST /api/license-portal
-//   body { action: "reset_machine", reason? }
+//   body { action: "reset_machine", reason?, machine_slot? }
+//   body { action: "rotate_key", confirm: true }
+//   body { action: "resend_key" }
+//   body { action: "preview_plan_change", plan }            — proration preview
+//   body { action: "change_plan", plan, confirm: true, proration_date? }
+//   body { action: "billing_portal" }                       — Stripe Billing Portal URL
+//   body { action: "list_invoices", limit? }                — recent invoices with PDF links
+//   body { action: "list_gifts" }                           — gifts bought and their redemption status
+//
+// Plan changes swap the subscription price for another subscription plan in the
+// catalog (_plan-catalog.js) with Stripe proration; passing the preview's
+// proration_date bills exactly what was previewed. The new tier is written to
+// the license right away rather than waiting for the webhook.
+//
+// Gift buyers without a license of their own can sign in with their email to
+// follow their gifts.
 
 const crypto = require('crypto');
 const {
   stripe,
+  licenseStore,
   cleanText,
   normalizeEmail,
   normalizeLicenseKey,
   findCustomerByEmail,
   findCustomerByLicenseKey,
   findCustomerByDiscordUserId,
+  findCustomerById,
+  getBoundMachines,
+  buildMachineReleasePatch,
   getLicenseSummary,
+  generateLicenseKey,
+  getLicenseTier,
+  getLicenseStatus,
   MACHINE_RESET_URL,
 } = require('./_license-utils');
+const { getPlan, getPlanPriceId, findPlanByPriceId } = require('./_plan-catalog');
+const { ensureReferralCode } = require('./_license-referrals');
+const { listGiftsForBuyer } = require('./_license-gifts');
 const { verifyDiscordMember } = require('./_discord-auth');
+const { sendLicenseEmail, resendLicenseEmail, buildEmailQueuedPatch } = require('./_license-email');
+const { renderEmail } = require('./_email-templates');
+const { sendEmail } = require('./_email-transport');
 
 const CODE_TTL_MINUTES = 10;
 const SESSION_TTL_HOURS = 24;
 const RESET_COOLDOWN_MINUTES = 10;
+const ROTATE_COOLDOWN_MINUTES = 10;
+const RESEND_KEY_COOLDOWN_MINUTES = 10;
+const PLAN_CHANGE_COOLDOWN_MINUTES = 10;
+// How long a previewed proration_date may be honoured when applying the change.
+const PRORATION_QUOTE_MINUTES = 15;
+const CHANGEABLE_SUBSCRIPTION_STATUSES = new Set(['active', 'trialing', 'past_due']);
+const INVOICE_LIST_MAX = 24;
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -95,45 +130,123 @@ function getBearerToken(req) {
   return auth.slice(7).trim();
 }
 
+// Resolves the customer behind a dashboard session, or the error to return.
+async function loadSessionCustomer(req, secret) {
+  const session = verifyToken(getBearerToken(req), secret);
+  if (!session) {
+    return { status: 401, error: 'Invalid or expired session' };
+  }
+
+  const customer = await findCustomerById(session.cid);
+  if (!customer || customer.deleted) {
+    return { status: 404, error: 'License account not found' };
+  }
+  if (normalizeEmail(customer.email) !== normalizeEmail(session.email)) {
+    return { status: 401, error: 'Session mismatch' };
+  }
+  return { customer };
+}
+
+function maskLicenseKey(key) {
+  return key ? `${key.slice(0, 10)}-****-${key.slice(-4)}` : '';
+}
+
+// The customer's current subscription and its single price item, or the error to return.
+async function loadPlanSubscription(customer) {
+  const metadata = customer.metadata || {};
+  if (metadata.plan !== 'subscription') {
+    return { status: 400, error: 'Only subscription licenses can change plans' };
+  }
+  if (metadata.license_revoked === 'true' || getLicenseStatus(metadata) !== 'active') {
+    return { status: 403, error: 'This license is not active, so its plan cannot be changed' };
+  }
+
+  let subscription = null;
+  if (metadata.license_subscription_id) {
+    subscription = await stripe.subscriptions.retrieve(metadata.license_subscription_id).catch(() => null);
+  }
+  if (!subscription) {
+    const list = await stripe.subscriptions.list({ customer: customer.id, status: 'all', limit: 10 });
+    subscription = (list.data || []).find((sub) => CHANGEABLE_SUBSCRIPTION_STATUSES.has(sub.status)) || null;
+  }
+  if (!subscription || !CHANGEABLE_SUBSCRIPTION_STATUSES.has(subscription.status)) {
+    return { status: 404, error: 'No active subscription found for this license' };
+  }
+
+  const item = subscription.items?.data?.[0];
+  if (!item || subscription.items.data.length !== 1) {
+    return { status: 409, error: 'This subscription can only be changed by support' };
+  }
+  return { subscription, item, currentPlan: findPlanByPriceId(item.price?.id) };
+}
+
+function resolveTargetPlan(slug, currentPlan) {
+  const plan = getPlan(slug);
+  if (!plan || !plan.public || plan.mode !== 'subscription') {
+    return { status: 400, error: 'plan must be a subscription plan slug from /api/plans' };
+  }
+  if (!getPlanPriceId(plan)) {
+    return { status: 503, error: 'This plan is not available right now' };
+  }
+  if (currentPlan && currentPlan.slug === plan.slug) {
+    return { status: 409, error: 'You are already on this plan' };
+  }
+  return { plan };
+}
+
+function summarizeUpcomingInvoice(invoice, prorationDate) {
+  const prorationAmount = (invoice.lines?.data || [])
+    .filter((line) => line.proration)
+    .reduce((sum, line) => sum + (line.amount || 0), 0);
+  const nextAt = invoice.next_payment_attempt || invoice.period_end || null;
+  return {
+    currency: String(invoice.currency || '').toUpperCase(),
+    proration_amount: prorationAmount,
+    next_invoice_amount: invoice.amount_due,
+    next_invoice_at: nextAt ? new Date(nextAt * 1000).toISOString() : null,
+    proration_date: prorationDate,
+  };
+}
+
+async function previewPlanChange({ subscription, item }, plan, prorationDate) {
+  const invoice = await stripe.invoices.retrieveUpcoming({
+    customer: subscription.customer,
+    subscription: subscription.id,
+    subscription_items: [{ id: item.id, price: getPlanPriceId(plan) }],
+    subscription_proration_behavior: 'create_prorations',
+    subscription_proration_date: prorationDate,
+  });
+  return summarizeUpcomingInvoice(invoice, prorationDate);
+}
+
+function mapInvoice(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number || '',
+    status: invoice.status || '',
+    currency: String(invoice.currency || '').toUpperCase(),
+    amount_due: invoice.amount_due,
+    amount_paid: invoice.amount_paid,
+    created_at: invoice.created ? new Date(invoice.created * 1000).toISOString() : null,
+    hosted_invoice_url: invoice.hosted_invoice_url || '',
+    invoice_pdf: invoice.invoice_pdf || '',
+  };
+}
+
 function generateCode() {
   return String(Math.floor(100000 + Math.random() * 900000));
 }
 
 async function sendAccessCodeEmail({ email, code }) {
-  const resendKey = String(process.env.RESEND_API_KEY || '').trim();
-  if (!resendKey) {
-    throw new Error('RESEND_API_KEY is not configured');
-  }
-
-  const fromEmail = String(
-    process.env.LICENSE_PORTAL_FROM || 'Nexus by Hyperfect <noreply@admin.hyperfect.dev>'
-  ).trim();
-  const safeEmail = normalizeEmail(email);
-
-  const response = await fetch('https://api.resend.com/emails', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${resendKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      from: fromEmail,
-      to: [safeEmail],
-      subject: 'Your Nexus license dashboard code',
-      html: `
-        <div style="font-family: -apple-system,BlinkMacSystemFont,Segoe UI,Roboto,sans-serif; max-width: 560px; margin: 0 auto; padding: 24px;">
-          <h2 style="margin: 0 0 12px; color: #0f172a;">Nexus License Dashboard</h2>
-          <p style="margin: 0 0 16px; color: #334155;">Use this verification code to manage your license and reset machine activation.</p>
-          <div style="font-size: 28px; letter-spacing: 6px; font-weight: 700; color: #1d4ed8; padding: 14px 18px; border-radius: 10px; background: #eff6ff; text-align: center;">${code}</div>
-          <p style="margin: 16px 0 0; color: #64748b;">This code expires in ${CODE_TTL_MINUTES} minutes.</p>
-        </div>
-      `,
-    }),
+  const rendered = renderEmail('portal_code', { code, ttlMinutes: CODE_TTL_MINUTES });
+  const result = await sendEmail({
+    from: process.env.LICENSE_PORTAL_FROM || '',
+    to: normalizeEmail(email),
+    ...rendered,
   });
 
-  if (!response.ok) {
-    const detail = await response.text().catch(() => '');
-    throw new Error(`Failed to send access code email (${response.status}): ${detail.slice(0, 160)}`);
+  if (!result.ok) {
+    throw new Error(`Failed to send access code email: ${String(result.error || '').slice(0, 160)}`);
   }
 }
 
@@ -177,24 +290,21 @@ module.exports = async function handler(req, res) {
 
   try {
     if (req.method === 'GET') {
-      const token = getBearerToken(req);
-      const session = verifyToken(token, secret);
-      if (!session) {
-        return res.status(401).json({ success: false, error: 'Invalid or expired session' });
+      const { customer, status, error } = await loadSessionCustomer(req, secret);
+      if (!customer) {
+        return res.status(status).json({ success: false, error });
       }
 
-      const customer = await stripe.customers.retrieve(session.cid);
-      if (!customer || customer.deleted) {
-        return res.status(404).json({ success: false, error: 'License account not found' });
-      }
-      if (normalizeEmail(customer.email) !== normalizeEmail(session.email)) {
-        return res.status(401).json({ success: false, error: 'Session mismatch' });
-      }
+      // Licenses issued before referrals existed get their code on first visit.
+      const withReferral = await ensureReferralCode(customer).catch((err) => {
+        console.error(`Referral code allocation failed for ${customer.id}:`, err?.message || String(err));
+        return customer;
+      });
 
       return res.status(200).json({
         success: true,
         license: {
-          ...getLicenseSummary(customer),
+          ...getLicenseSummary(withReferral),
           manage_url: MACHINE_RESET_URL,
         },
       });
@@ -216,7 +326,8 @@ module.exports = async function handler(req, res) {
       const customer = await loadCustomerForCodeRequest({ email, licenseKey });
 
       // Don't leak whether the email/key exists.
-      if (!customer || !customer.email || !(customer.metadata || {}).license_key) {
+      const metadata = customer?.metadata || {};
+      if (!customer || !customer.email || !(metadata.license_key || metadata.gift_purchase_count)) {
         return res.status(200).json({
           success: true,
           message: 'If we found a matching license, a verification code was sent.',
@@ -228,13 +339,10 @@ module.exports = async function handler(req, res) {
       const expiresAt = new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000);
       const codeHash = hashCode(customer.email, code, secret);
 
-      await stripe.customers.update(customer.id, {
-        metadata: {
-          ...(customer.metadata || {}),
-          license_portal_code_hash: codeHash,
-          license_portal_code_expires_at: expiresAt.toISOString(),
-          license_portal_code_sent_at: now.toISOString(),
-        },
+      await licenseStore.update(customer.id, {
+        license_portal_code_hash: codeHash,
+        license_portal_code_expires_at: expiresAt.toISOString(),
+        license_portal_code_sent_at: now.toISOString(),
       });
 
       await sendAccessCodeEmail({ email: customer.email, code });
@@ -283,13 +391,10 @@ module.exports = async function handler(req, res) {
         secret
       );
 
-      await stripe.customers.update(customer.id, {
-        metadata: {
-          ...metadata,
-          license_portal_code_hash: '',
-          license_portal_code_expires_at: '',
-          license_portal_verified_at: new Date().toISOString(),
-        },
+      await licenseStore.update(customer.id, {
+        license_portal_code_hash: '',
+        license_portal_code_expires_at: '',
+        license_portal_verified_at: new Date().toISOString(),
       });
 
       return res.status(200).json({
@@ -351,15 +456,12 @@ module.exports = async function handler(req, res) {
       }
 
       const nowIso = new Date().toISOString();
-      const updated = await stripe.customers.update(customer.id, {
-        metadata: {
-          ...metadata,
-          license_discord_user_id: discordUserId,
-          license_discord_username: formatDiscordHandle(discordUser),
-          license_discord_global_name: cleanText(discordUser.global_name || '', 120),
-          license_discord_last_login_at: nowIso,
-          license_discord_linked_at: metadata.license_discord_linked_at || nowIso,
-        },
+      const updated = await licenseStore.update(customer.id, {
+        license_discord_user_id: discordUserId,
+        license_discord_username: formatDiscordHandle(discordUser),
+        license_discord_global_name: cleanText(discordUser.global_name || '', 120),
+        license_discord_last_login_at: nowIso,
+        license_discord_linked_at: metadata.license_discord_linked_at || nowIso,
       });
 
       const token = signToken(
@@ -388,18 +490,9 @@ module.exports = async function handler(req, res) {
     }
 
     if (action === 'reset_machine') {
-      const token = getBearerToken(req);
-      const session = verifyToken(token, secret);
-      if (!session) {
-        return res.status(401).json({ success: false, error: 'Invalid or expired session' });
-      }
-
-      const customer = await stripe.customers.retrieve(session.cid);
-      if (!customer || customer.deleted) {
-        return res.status(404).json({ success: false, error: 'License account not found' });
-      }
-      if (normalizeEmail(customer.email) !== normalizeEmail(session.email)) {
-        return res.status(401).json({ success: false, error: 'Session mismatch' });
+      const { customer, status, error } = await loadSessionCustomer(req, secret);
+      if (!customer) {
+        return res.status(status).json({ success: false, error });
       }
 
       const metadata = customer.metadata || {};
@@ -412,26 +505,268 @@ module.exports = async function handler(req, res) {
         });
       }
 
+      // Release a single machine when a slot is given, otherwise every bound machine.
+      const machines = getBoundMachines(metadata);
+      const requestedSlot = parseInt(req.body?.machine_slot || '', 10);
+      const releaseOne = Number.isFinite(requestedSlot) && requestedSlot > 0;
+      if (releaseOne && !machines.some((machine) => machine.slot === requestedSlot)) {
+        return res.status(404).json({ success: false, error: 'That machine is not bound to this license' });
+      }
+      const releaseAll = !releaseOne || machines.length <= 1;
+
       const nowIso = new Date().toISOString();
       const resetCount = (parseInt(metadata.license_reset_count || '0', 10) || 0) + 1;
       const reason = cleanText(req.body?.reason || 'self-service', 120);
 
-      const updated = await stripe.customers.update(customer.id, {
-        metadata: {
-          ...metadata,
-          license_hardware_id: '',
-          license_hardware_bound_at: '',
+      const updated = await licenseStore.update(customer.id, {
+        ...buildMachineReleasePatch(releaseAll ? null : [requestedSlot]),
+        ...(releaseAll ? {
           license_last_validation_at: '',
           license_last_app_version: '',
-          license_reset_count: String(resetCount),
-          license_last_reset_at: nowIso,
-          license_last_reset_reason: reason,
+        } : {}),
+        license_reset_count: String(resetCount),
+        license_last_reset_at: nowIso,
+        license_last_reset_reason: reason,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: releaseAll
+          ? 'Machine activation reset. You can now activate on another computer.'
+          : 'Machine released. You can now activate Nexus on another computer.',
+        license: {
+          ...getLicenseSummary(updated),
+          manage_url: MACHINE_RESET_URL,
+        },
+      });
+    }
+
+    if (action === 'resend_key') {
+      const { customer, status, error } = await loadSessionCustomer(req, secret);
+      if (!customer) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      const metadata = customer.metadata || {};
+      if (!metadata.license_key) {
+        return res.status(404).json({ success: false, error: 'No license key found for this account' });
+      }
+
+      const lastResendRaw = cleanText(metadata.license_portal_resend_at, 64);
+      const lastResendTs = lastResendRaw ? Date.parse(lastResendRaw) : 0;
+      if (lastResendTs && Date.now() - lastResendTs < RESEND_KEY_COOLDOWN_MINUTES * 60 * 1000) {
+        return res.status(429).json({
+          success: false,
+          error: `Please wait ${RESEND_KEY_COOLDOWN_MINUTES} minutes between resend requests.`,
+        });
+      }
+
+      await licenseStore.update(customer.id, { license_portal_resend_at: new Date().toISOString() });
+      const emailResult = await resendLicenseEmail(customer);
+      if (!emailResult.ok) {
+        return res.status(502).json({
+          success: false,
+          error: 'We could not send the email right now. It will be retried automatically.',
+        });
+      }
+
+      return res.status(200).json({ success: true, message: `License key sent to ${customer.email}.` });
+    }
+
+    if (action === 'rotate_key') {
+      const { customer, status, error } = await loadSessionCustomer(req, secret);
+      if (!customer) {
+        return res.status(status).json({ success: false, error });
+      }
+      if (req.body?.confirm !== true) {
+        return res.status(400).json({ success: false, error: 'Key rotation must be confirmed' });
+      }
+
+      const metadata = customer.metadata || {};
+      if (!metadata.license_key) {
+        return res.status(404).json({ success: false, error: 'No license key found for this account' });
+      }
+      if (metadata.license_revoked === 'true') {
+        return res.status(403).json({ success: false, error: 'Revoked licenses cannot be rotated' });
+      }
+
+      const lastRotatedRaw = cleanText(metadata.license_key_rotated_at, 64);
+      const lastRotatedTs = lastRotatedRaw ? Date.parse(lastRotatedRaw) : 0;
+      if (lastRotatedTs && Date.now() - lastRotatedTs < ROTATE_COOLDOWN_MINUTES * 60 * 1000) {
+        return res.status(429).json({
+          success: false,
+          error: `Please wait ${ROTATE_COOLDOWN_MINUTES} minutes between key rotations.`,
+        });
+      }
+
+      // Only license_key changes: plan, expiry, machine bindings and the Discord
+      // link stay on the record, and the old key stops matching immediately.
+      const newKey = generateLicenseKey();
+      const rotationCount = (parseInt(metadata.license_key_rotation_count || '0', 10) || 0) + 1;
+      const updated = await licenseStore.update(customer.id, {
+        license_key: newKey,
+        license_key_rotated_at: new Date().toISOString(),
+        license_key_rotation_count: String(rotationCount),
+        license_previous_key_masked: maskLicenseKey(metadata.license_key),
+        ...buildEmailQueuedPatch('rotated'),
+      });
+
+      const emailResult = await sendLicenseEmail(
+        updated.email,
+        newKey,
+        updated.metadata?.plan || 'lifetime',
+        updated.id,
+        updated.metadata?.license_expires_at || '',
+        { rotated: true }
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: emailResult.ok
+          ? 'License key rotated. Your old key no longer works, and the new key was emailed to you.'
+          : 'License key rotated. Your old key no longer works. Copy the new key below; the email could not be sent.',
+        email_sent: !!emailResult.ok,
+        license: {
+          ...getLicenseSummary(updated),
+          manage_url: MACHINE_RESET_URL,
         },
       });
+    }
+
+    if (action === 'billing_portal') {
+      const { customer, status, error } = await loadSessionCustomer(req, secret);
+      if (!customer) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      // Fails for records that aren't Stripe customers (e.g. the local file store).
+      const portal = await stripe.billingPortal.sessions.create({
+        customer: customer.id,
+        return_url: MACHINE_RESET_URL,
+        ...(process.env.STRIPE_BILLING_PORTAL_CONFIG ? { configuration: process.env.STRIPE_BILLING_PORTAL_CONFIG } : {}),
+      }).catch((err) => {
+        console.error(`Billing portal session failed for ${customer.id}:`, err?.message || String(err));
+        return null;
+      });
+      if (!portal) {
+        return res.status(502).json({ success: false, error: 'Billing management is not available for this license' });
+      }
+
+      return res.status(200).json({ success: true, url: portal.url });
+    }
+
+    if (action === 'list_invoices') {
+      const { customer, status, error } = await loadSessionCustomer(req, secret);
+      if (!customer) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      const limit = Math.max(1, Math.min(INVOICE_LIST_MAX, parseInt(req.body?.limit || '12', 10) || 12));
+      const invoices = await stripe.invoices.list({ customer: customer.id, limit }).catch((err) => {
+        console.error(`Invoice list failed for ${customer.id}:`, err?.message || String(err));
+        return null;
+      });
+      if (!invoices) {
+        return res.status(502).json({ success: false, error: 'Invoices are not available right now' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        invoices: (invoices.data || []).filter((invoice) => invoice.status !== 'draft').map(mapInvoice),
+      });
+    }
+
+    if (action === 'list_gifts') {
+      const { customer, status, error } = await loadSessionCustomer(req, secret);
+      if (!customer) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      return res.status(200).json({ success: true, gifts: await listGiftsForBuyer(customer.id) });
+    }
+
+    if (action === 'preview_plan_change' || action === 'change_plan') {
+      const { customer, status, error } = await loadSessionCustomer(req, secret);
+      if (!customer) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      const billing = await loadPlanSubscription(customer);
+      if (!billing.subscription) {
+        return res.status(billing.status).json({ success: false, error: billing.error });
+      }
+      const target = resolveTargetPlan(req.body?.plan, billing.currentPlan);
+      if (!target.plan) {
+        return res.status(target.status).json({ success: false, error: target.error });
+      }
+      const plan = target.plan;
+      const metadata = customer.metadata || {};
+      const nowSeconds = Math.floor(Date.now() / 1000);
+
+      if (action === 'preview_plan_change') {
+        const preview = await previewPlanChange(billing, plan, nowSeconds);
+        return res.status(200).json({
+          success: true,
+          current_plan: billing.currentPlan?.slug || '',
+          current_tier: getLicenseTier(metadata),
+          new_plan: plan.slug,
+          new_tier: plan.tier,
+          preview,
+        });
+      }
+
+      if (req.body?.confirm !== true) {
+        return res.status(400).json({ success: false, error: 'Plan change must be confirmed' });
+      }
+      const lastChangeRaw = cleanText(metadata.license_plan_changed_at, 64);
+      const lastChangeTs = lastChangeRaw ? Date.parse(lastChangeRaw) : 0;
+      if (lastChangeTs && Date.now() - lastChangeTs < PLAN_CHANGE_COOLDOWN_MINUTES * 60 * 1000) {
+        return res.status(429).json({
+          success: false,
+          error: `Please wait ${PLAN_CHANGE_COOLDOWN_MINUTES} minutes between plan changes.`,
+        });
+      }
+
+      // Honour the previewed proration date so the charge matches the quote.
+      const quoted = parseInt(req.body?.proration_date || '', 10);
+      const prorationDate = Number.isFinite(quoted) && quoted <= nowSeconds && nowSeconds - quoted <= PRORATION_QUOTE_MINUTES * 60
+        ? quoted
+        : nowSeconds;
+
+      await stripe.subscriptions.update(billing.subscription.id, {
+        items: [{ id: billing.item.id, price: getPlanPriceId(plan) }],
+        proration_behavior: 'create_prorations',
+        proration_date: prorationDate,
+        metadata: { plan_slug: plan.slug, license_plan: plan.licensePlan },
+      });
+
+      const previousTier = getLicenseTier(metadata);
+      const nowIso = new Date().toISOString();
+      const updated = await licenseStore.update(customer.id, {
+        license_tier: plan.tier,
+        license_plan_slug: plan.slug,
+        license_subscription_id: billing.subscription.id,
+        license_plan_changed_at: nowIso,
+        ...(plan.tier !== previousTier ? {
+          license_tier_changed_at: nowIso,
+          license_tier_previous: previousTier,
+        } : {}),
+      });
+      console.log(`License ${customer.id}: plan ${billing.currentPlan?.slug || 'unknown'} -> ${plan.slug} (self-service)`);
+
+      // The change is applied; a failed invoice lookup only loses the amount.
+      const upcoming = await stripe.invoices.retrieveUpcoming({
+        customer: billing.subscription.customer,
+        subscription: billing.subscription.id,
+      }).then((invoice) => summarizeUpcomingInvoice(invoice, prorationDate)).catch((err) => {
+        console.error('Upcoming invoice lookup failed after plan change:', err?.message || String(err));
+        return null;
+      });
 
       return res.status(200).json({
         success: true,
-        message: 'Machine activation reset. You can now activate on another computer.',
+        message: `Your plan is now ${plan.name}.`,
+        billing: upcoming,
         license: {
           ...getLicenseSummary(updated),
           manage_url: MACHINE_RESET_URL,
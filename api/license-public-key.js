@@ -0,0 +1,31 @@
+// Vercel Serverless Function: Public key for offline activation certificates
+// GET /api/license-public-key
+// GET /.well-known/nexus-license-key.json (rewrite)
+//
+// Returns the Ed25519 public key the desktop app uses to verify the
+// activation_certificate returned by /api/keys/validate.
+
+const { getPublicKeyInfo } = require('./_license-certs');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const info = getPublicKeyInfo();
+    if (!info) {
+      return res.status(503).json({ error: 'License signing key is not configured' });
+    }
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).json(info);
+  } catch (err) {
+    console.error('License public key error:', err?.message || String(err));
+    return res.status(500).json({ error: 'Could not load license public key' });
+  }
+};
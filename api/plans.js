@@ -0,0 +1,57 @@
+// Vercel Serverless Function: Public plan catalog
+// GET /api/plans
+//
+// Lists the purchasable plans from the server-side catalog (_plan-catalog.js)
+// with their tier, entitlements and current Stripe price. Checkout takes one of
+// the returned slugs: POST /api/create-checkout { "plan": "<slug>" }.
+
+const { stripe } = require('./_license-utils');
+const { PLAN_CATALOG, getPlanPriceId, listPublicPlans } = require('./_plan-catalog');
+
+// Stripe prices change rarely; cache them per instance.
+const PRICE_CACHE_TTL_MS = 10 * 60 * 1000;
+let _priceCache = { at: 0, prices: {} };
+
+async function loadPrices() {
+  if (Date.now() - _priceCache.at < PRICE_CACHE_TTL_MS) return _priceCache.prices;
+
+  const prices = {};
+  await Promise.all(PLAN_CATALOG.filter((plan) => plan.public).map(async (plan) => {
+    const priceId = getPlanPriceId(plan);
+    if (!priceId) return;
+    try {
+      const price = await stripe.prices.retrieve(priceId);
+      prices[plan.slug] = {
+        amount: price.unit_amount,
+        currency: String(price.currency || '').toUpperCase(),
+        interval: price.recurring?.interval || null,
+      };
+    } catch (err) {
+      console.warn(`Could not load Stripe price for plan ${plan.slug}:`, err?.message || String(err));
+    }
+  }));
+
+  _priceCache = { at: Date.now(), prices };
+  return prices;
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const prices = await loadPrices();
+    const plans = listPublicPlans().map((plan) => ({ ...plan, price: prices[plan.slug] || null }));
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.status(200).json({ plans });
+  } catch (err) {
+    console.error('Plan catalog error:', err?.message || String(err));
+    return res.status(500).json({ error: 'Could not load plans' });
+  }
+};
@@ -0,0 +1,154 @@
+// Vercel Serverless Function: Waitlist auto-review rules and invite waves (admin)
+//
+// Admin (Authorization: Bearer <ADMIN_SECRET|DISCORD_OAUTH_ACCESS_TOKEN>):
+//   GET /api/waitlist-automation?status=active|disabled|all   — rules plus wave settings
+//   POST /api/waitlist-automation
+//   body { action: "create_rule", rule_action: "approve"|"reject", label?, order?, sources?, domains?, keywords?, min_submissions?, max_submissions? }
+//   body { action: "disable_rule", id }
+//   body { action: "review", dry_run? }                      — apply rules to pending entries
+//   body { action: "wave", dry_run?, capacity?, order? }     — invite approved entries
+//
+// Cron (Authorization: Bearer <CRON_SECRET>, scheduled in vercel.json) or admin:
+//   GET|POST /api/waitlist-automation?action=run&dry_run=true|false   — review, then wave
+//   The cron run is report-only while WAITLIST_AUTOMATION_DRY_RUN=true.
+//
+// sources, domains and keywords take an array or a comma-separated string.
+// See _waitlist-automation.js for how rules match and how waves pick entries.
+
+const { cleanText } = require('./_license-utils');
+const { requireAdmin } = require('./_admin-auth');
+const {
+  WAVE_ORDERS,
+  MAX_WAVE_CAPACITY,
+  getWaveCapacity,
+  getWaveOrder,
+  isAutomationDryRun,
+  listRules,
+  createRule,
+  disableRule,
+  runAutoReview,
+  countWaveInvitesToday,
+  runInviteWave,
+} = require('./_waitlist-automation');
+
+const LIST_STATUSES = new Set(['active', 'disabled', 'all']);
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function parseDryRun(value) {
+  return value === true || String(value || '').trim().toLowerCase() === 'true';
+}
+
+// Per-run wave overrides. Returns { options } or { error }.
+function parseWaveOptions(source) {
+  const options = {};
+  if (source.capacity !== undefined && source.capacity !== '') {
+    const capacity = parseInt(source.capacity, 10);
+    if (!Number.isFinite(capacity) || capacity < 0 || capacity > MAX_WAVE_CAPACITY) {
+      return { error: `capacity must be between 0 and ${MAX_WAVE_CAPACITY}` };
+    }
+    options.capacity = capacity;
+  }
+  if (source.order !== undefined && source.order !== '') {
+    const order = cleanText(source.order, 16).toLowerCase();
+    if (!WAVE_ORDERS.has(order)) return { error: 'order must be priority or oldest' };
+    options.order = order;
+  }
+  return { options };
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+    const action = cleanText(req.query?.action || body.action || '', 40).toLowerCase();
+    const actor = await requireAdmin(req, res, { allowCron: action === 'run' });
+    if (!actor) return;
+
+    if (action === 'run') {
+      const requested = req.query?.dry_run ?? body.dry_run;
+      // Cron can't ask for a live run while the environment says dry-run.
+      const dryRun = isAutomationDryRun() || (actor.type !== 'cron' && parseDryRun(requested));
+      const review = await runAutoReview({ dryRun });
+      const wave = await runInviteWave({ dryRun });
+      console.log(`Waitlist automation${dryRun ? ' (dry run)' : ''} by ${actor.name}: approved ${review.approved}, rejected ${review.rejected}, invited ${wave.invited}/${wave.available}`);
+      return res.status(200).json({ success: true, dry_run: dryRun, review, wave });
+    }
+
+    if (req.method === 'GET') {
+      const status = cleanText(req.query?.status || 'all', 16).toLowerCase();
+      if (!LIST_STATUSES.has(status)) {
+        return res.status(400).json({ success: false, error: 'status must be active, disabled or all' });
+      }
+      const rules = await listRules({ status });
+      return res.status(200).json({
+        success: true,
+        status,
+        count: rules.length,
+        rules,
+        wave: {
+          capacity: getWaveCapacity(),
+          order: getWaveOrder(),
+          sent_today: await countWaveInvitesToday(),
+          cron_dry_run: isAutomationDryRun(),
+        },
+      });
+    }
+
+    if (action === 'create_rule') {
+      const result = await createRule({
+        action: body.rule_action,
+        label: body.label,
+        order: body.order,
+        sources: body.sources,
+        domains: body.domains,
+        keywords: body.keywords,
+        minSubmissions: body.min_submissions,
+        maxSubmissions: body.max_submissions,
+        actor: actor.name,
+      });
+      if (result.status !== 200) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      console.log(`Waitlist rule ${result.rule.id} (${result.rule.action}) created by ${actor.name}`);
+      return res.status(200).json({ success: true, rule: result.rule });
+    }
+
+    if (action === 'disable_rule') {
+      const result = await disableRule(body.id, { actor: actor.name });
+      if (result.status !== 200) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      console.log(`Waitlist rule ${result.rule.id} disabled by ${actor.name}`);
+      return res.status(200).json({ success: true, rule: result.rule });
+    }
+
+    if (action === 'review') {
+      const review = await runAutoReview({ dryRun: parseDryRun(body.dry_run) });
+      console.log(`Waitlist auto-review${review.dry_run ? ' (dry run)' : ''} by ${actor.name}: approved ${review.approved}, rejected ${review.rejected}`);
+      return res.status(200).json({ success: true, review });
+    }
+
+    if (action === 'wave') {
+      const { options, error } = parseWaveOptions(body);
+      if (error) return res.status(400).json({ success: false, error });
+      const wave = await runInviteWave({ dryRun: parseDryRun(body.dry_run), ...options });
+      console.log(`Waitlist invite wave${wave.dry_run ? ' (dry run)' : ''} by ${actor.name}: invited ${wave.invited}/${wave.available}`);
+      return res.status(200).json({ success: true, wave });
+    }
+
+    return res.status(400).json({ success: false, error: 'Unknown action' });
+  } catch (err) {
+    console.error('Waitlist automation error:', err?.message || String(err));
+    return res.status(500).json({ success: false, error: 'Waitlist automation request failed' });
+  }
+};
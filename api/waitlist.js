@@ -2,17 +2,71 @@
 //
 // Public:
 //   POST /api/waitlist
-//   Body: { name, email, message, consent, source }
+//   Body: { name, email, message, consent, source, ref? }
+//   New signups start unverified and are emailed a confirmation link:
+//   GET /api/waitlist/verify?token=...   (moves the entry to pending, then redirects to /waitlist-status)
+//   GET /api/waitlist/status?token=...   (signed link emailed once verified)
+//   Returns queue position, status and the applicant's share link (_waitlist-queue.js).
 //
 // Admin (Authorization: Bearer <ADMIN_SECRET>):
-//   GET /api/waitlist?status=pending|approved|rejected|invited|converted|all&limit=50&cursor=cus_xxx
+//   GET /api/waitlist?status=unverified|pending|approved|rejected|invited|invite_expired|converted|all&limit=50&cursor=cus_xxx&sort=recent|priority
+//   status=all leaves out unverified entries unless include_unverified=true.
+//   sort=priority ranks up to PRIORITY_SCAN_LIMIT waitlist entries (truncated: true past that).
+//   GET /api/waitlist?format=csv&status=...&from=YYYY-MM-DD&to=YYYY-MM-DD&include_unverified=true&cursor=cus_xxx
+//   Downloads matching entries (by signup date) as CSV, one column per mapWaitlistCustomer field;
+//   X-Waitlist-Export-Next-Cursor is set when the scan stopped early.
+//   POST /api/waitlist?action=import
+//   Body: { csv, dry_run?, start_row? } (or the raw CSV as a text body)
+//   Upserts rows like public submissions and reports the outcome of each row;
+//   next_row is set when the request ran out of time.
 //   PATCH /api/waitlist
-//   Body: { customer_id?, email?, status, notes?, send_invite?, send_invite_email? }
+//   Body: { customer_id?, email?, status, notes?, send_invite?, send_invite_email?, grant_trial? }
+//   grant_trial issues a time-limited trial license directly (no checkout) and emails the key.
+//   Invites that expire unused are reissued by the webhook, then marked
+//   invite_expired (_waitlist-invites.js).
+//   Rules can approve or reject entries and invite waves send invites
+//   automatically (/api/waitlist-automation, _waitlist-automation.js).
+//   GET /api/waitlist?action=purge_unverified   (also daily cron via CRON_SECRET)
+//   Removes signups left unverified past WAITLIST_UNVERIFIED_TTL_DAYS (_waitlist-verification.js).
 //
-// Data is persisted on Stripe customers via metadata.
+// Data is persisted through the license store (Stripe customer metadata by
+// default, see _license-store.js), like the rest of the waitlist modules.
 // This keeps costs low while providing a queue-style review workflow.
 
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getBearerToken, requireAdmin } = require('./_admin-auth');
+const {
+    licenseStore,
+    findCustomerByEmail,
+    upsertLicenseRecord,
+    buildIssuedLicensePatch,
+    LICENSE_PLANS,
+} = require('./_license-utils');
+const { sendLicenseEmail, buildEmailQueuedPatch } = require('./_license-email');
+const { normalizeReferralCode } = require('./_license-referrals');
+const {
+    createInviteForCustomer,
+    sendWaitlistInviteEmail,
+    buildInviteSessionPatch,
+} = require('./_waitlist-invites');
+const {
+    QUEUE_STATUSES,
+    generateShareCode,
+    normalizeShareCode,
+    getShareUrl,
+    getPriorityScore,
+    ensureShareCode,
+    verifyStatusToken,
+    buildStatusView,
+    sendWaitlistStatusEmail,
+} = require('./_waitlist-queue');
+const { toCsv, readCsvRecords } = require('./_waitlist-csv');
+const {
+    sendVerificationEmail,
+    verifyWaitlistEntry,
+    purgeUnverifiedEntries,
+    getVerifiedRedirectUrl,
+    getVerifyFailedRedirectUrl,
+} = require('./_waitlist-verification');
 
 // ──── Sentry observability (optional, graceful if not configured) ────
 let Sentry = null;
@@ -78,14 +132,14 @@ async function verifyTurnstile(token) {
 }
 
 const WAITLIST_STATUSES = new Set([
+    'unverified',
     'pending',
     'approved',
     'rejected',
     'invited',
+    'invite_expired',
     'converted',
 ]);
-const INVITE_EXPIRY_SECONDS = 23 * 60 * 60;
-const INVITE_EXPIRY_LABEL = '23 hours';
 
 function setCors(res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -93,36 +147,6 @@ function setCors(res) {
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 }
 
-function getBearerToken(req) {
-    const auth = req.headers.authorization || '';
-    if (!auth.toLowerCase().startsWith('bearer ')) return '';
-    return auth.slice(7).trim();
-}
-
-async function requireAdmin(req, res) {
-    const received = getBearerToken(req);
-    if (!received) {
-        res.status(401).json({ success: false, error: 'Unauthorized' });
-        return false;
-    }
-
-    // Option 1: Static admin secret (for scripts/CLI)
-    const expected = String(process.env.ADMIN_SECRET || '').trim();
-    if (expected && received === expected) return true;
-
-    // Option 2: Discord OAuth token verified as admin
-    try {
-        const { verifyDiscordAdmin } = require('./_discord-auth');
-        const result = await verifyDiscordAdmin(received);
-        if (result.ok) return true;
-    } catch (_) {
-        // Discord auth module not available; fall through
-    }
-
-    res.status(401).json({ success: false, error: 'Unauthorized' });
-    return false;
-}
-
 function cleanText(value, maxLen) {
     return String(value || '')
         .replace(/\s+/g, ' ')
@@ -176,109 +200,31 @@ function mapWaitlistCustomer(customer) {
         invite_email_sent_at: metadata.waitlist_invite_email_sent_at || null,
         invite_email_id: metadata.waitlist_invite_email_id || '',
         invite_email_error: metadata.waitlist_invite_email_error || '',
+        invite_session_id: metadata.waitlist_invite_session_id || '',
+        invite_status: metadata.waitlist_invite_status || '',
+        invite_expires_at: metadata.waitlist_invite_expires_at || null,
+        invite_outcome_at: metadata.waitlist_invite_outcome_at || null,
+        invite_reissues: parseInt(metadata.waitlist_invite_reissue_count || '0', 10) || 0,
         converted_at: metadata.waitlist_converted_at || null,
+        trial_granted_at: metadata.waitlist_trial_granted_at || null,
+        referral_code: metadata.waitlist_referral_code || '',
+        share_code: metadata.waitlist_share_code || '',
+        referrals: parseInt(metadata.waitlist_referral_count || '0', 10) || 0,
+        referred_by: metadata.waitlist_referred_by || '',
+        priority_score: getPriorityScore(customer),
+        verified_at: metadata.waitlist_verified_at || null,
+        verify_email_sent_at: metadata.waitlist_verify_email_sent_at || null,
+        reviewed_by: metadata.waitlist_reviewed_by || '',
+        review_rule: metadata.waitlist_review_rule || '',
+        wave_invited_at: metadata.waitlist_wave_invited_at || null,
+        email_bounced: !!metadata.email_hard_bounced_at,
+        email_bounced_at: metadata.email_hard_bounced_at || null,
+        email_bounce_reason: metadata.email_bounce_reason || '',
+        email_complained_at: metadata.email_complained_at || null,
         license_key: metadata.license_key || '',
     };
 }
 
-async function findCustomerByEmail(email) {
-    const normalized = normalizeEmail(email);
-    if (!normalized) return null;
-
-    // Stripe supports list-by-email; still validate exact match to be safe.
-    const result = await stripe.customers.list({ email: normalized, limit: 10 });
-    for (const customer of result.data || []) {
-        if (normalizeEmail(customer.email) === normalized) {
-            return customer;
-        }
-    }
-    return null;
-}
-
-async function createInviteForCustomer(email, name, customerId) {
-    const priceId = process.env.BETA_PRICE_ID;
-    if (!priceId) {
-        return { ok: false, error: 'BETA_PRICE_ID not configured' };
-    }
-
-    const siteUrl = process.env.SITE_URL || 'https://www.hyperfect.dev';
-    const session = await stripe.checkout.sessions.create({
-        payment_method_types: ['card'],
-        line_items: [{ price: priceId, quantity: 1 }],
-        mode: 'payment',
-        customer_email: email,
-        success_url: `${siteUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: `${siteUrl}/?checkout=cancelled`,
-        expires_at: Math.floor(Date.now() / 1000) + INVITE_EXPIRY_SECONDS,
-        metadata: {
-            source: 'waitlist_approval',
-            invite_for: name || email,
-            waitlist_customer_id: customerId || '',
-        },
-    });
-
-    return {
-        ok: true,
-        invite_url: session.url,
-        session_id: session.id,
-        expires_in: INVITE_EXPIRY_LABEL,
-    };
-}
-
-async function sendWaitlistInviteEmail({ email, name, inviteUrl, expiresIn }) {
-    const resendKey = String(process.env.RESEND_API_KEY || '').trim();
-    if (!resendKey) {
-        return { ok: false, error: 'RESEND_API_KEY not configured' };
-    }
-
-    const safeEmail = normalizeEmail(email);
-    const safeName = cleanText(name, 120) || 'there';
-    const safeInviteUrl = String(inviteUrl || '').trim();
-    if (!safeEmail || !safeInviteUrl) {
-        return { ok: false, error: 'Invite email is missing a required field' };
-    }
-
-    const fromEmail = String(
-        process.env.WAITLIST_INVITE_FROM || 'Nexus by Hyperfect <noreply@admin.hyperfect.dev>'
-    ).trim();
-
-    const response = await fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-            Authorization: `Bearer ${resendKey}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            from: fromEmail,
-            to: [safeEmail],
-            subject: 'Your Nexus beta invite is ready',
-            html: `
-                <div style="font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif; max-width: 560px; margin: 0 auto; padding: 24px; color: #0f172a;">
-                    <h2 style="margin: 0 0 12px;">Your Nexus invite is ready</h2>
-                    <p style="margin: 0 0 16px; color: #334155;">Hi ${safeName}, your waitlist spot has been approved. Use the link below to complete your beta checkout and receive your license.</p>
-                    <p style="margin: 0 0 20px;">
-                        <a href="${safeInviteUrl}" style="display: inline-block; padding: 12px 18px; border-radius: 999px; text-decoration: none; background: #2563eb; color: #ffffff; font-weight: 700;">Open invite</a>
-                    </p>
-                    <p style="margin: 0 0 12px; color: #475569;">This invite link expires in ${cleanText(expiresIn, 40) || INVITE_EXPIRY_LABEL}.</p>
-                    <p style="margin: 0; color: #64748b;">If the button does not work, paste this link into your browser:</p>
-                    <p style="margin: 8px 0 0; word-break: break-all; color: #1d4ed8;">${safeInviteUrl}</p>
-                </div>
-            `,
-        }),
-    });
-
-    if (!response.ok) {
-        const detail = await response.text().catch(() => `HTTP ${response.status}`);
-        return {
-            ok: false,
-            error: cleanText(`Failed to send invite email (${response.status}): ${detail}`, 200),
-        };
-    }
-
-    const data = await response.json().catch(() => ({}));
-    return { ok: true, id: cleanText(data?.id || '', 120) };
-}
-
 function buildWaitlistMetadataPatch(nextValues = {}) {
     const patch = {};
     for (const [key, value] of Object.entries(nextValues)) {
@@ -293,75 +239,102 @@ function getAdminErrorMessage(err) {
     return cleanText(raw || 'Waitlist request failed', 240) || 'Waitlist request failed';
 }
 
-async function handlePublicSubmit(req, res) {
-    // Rate limit check
-    const clientIP = getClientIP(req);
-    if (isRateLimited(clientIP)) {
-        return res.status(429).json({ success: false, error: 'Too many submissions. Please try again later.' });
+// A failed status email never fails the signup; re-submitting sends it again.
+async function notifyStatusEmail(customer) {
+    try {
+        const result = await sendWaitlistStatusEmail(customer);
+        if (!result.ok && !result.skipped) {
+            console.error(`Waitlist status email failed for ${customer.id}: ${result.error}`);
+        }
+    } catch (err) {
+        console.error(`Waitlist status email failed for ${customer.id}:`, err?.message || String(err));
     }
+}
 
-    const body = req.body && typeof req.body === 'object' ? req.body : {};
-
-    // Turnstile CAPTCHA verification
-    const turnstileToken = body.turnstile_token || body['cf-turnstile-response'] || '';
-    const captchaOk = await verifyTurnstile(turnstileToken);
-    if (!captchaOk) {
-        return res.status(400).json({ success: false, error: 'CAPTCHA verification failed. Please try again.' });
+// Same for the confirmation email unverified signups get.
+async function notifyVerificationEmail(customer) {
+    try {
+        const result = await sendVerificationEmail(customer);
+        if (!result.ok && !result.skipped) {
+            console.error(`Waitlist verification email failed for ${customer.id}: ${result.error}`);
+        }
+    } catch (err) {
+        console.error(`Waitlist verification email failed for ${customer.id}:`, err?.message || String(err));
     }
+}
 
-    const name = cleanText(body.name, 120);
-    const email = normalizeEmail(body.email);
-    const interest = cleanText(body.message, 480);
-    const source = cleanText(body.source || 'website_waitlist', 64) || 'website_waitlist';
-    const consent = !!body.consent;
+// Normalize a waitlist submission: the public form body or a CSV import row.
+function readSubmission(input = {}, defaultSource = 'website_waitlist') {
+    return {
+        name: cleanText(input.name, 120),
+        email: normalizeEmail(input.email),
+        interest: cleanText(input.message, 480),
+        source: cleanText(input.source || defaultSource, 64) || defaultSource,
+        consent: !!input.consent,
+        // License referral links (?ref=REF-...) are kept until the invite checkout is
+        // created; waitlist share links (?ref=WL-...) boost the referrer's place in line
+        // once the signup is verified.
+        referralCode: normalizeReferralCode(input.ref),
+        shareCode: normalizeShareCode(input.ref),
+    };
+}
 
-    if (!name) {
-        return res.status(400).json({ success: false, error: 'Name is required' });
-    }
-    if (!email || !emailLooksValid(email)) {
-        return res.status(400).json({ success: false, error: 'Valid email is required' });
-    }
+function validateSubmission(submission) {
+    if (!submission.name) return 'Name is required';
+    if (!submission.email || !emailLooksValid(submission.email)) return 'Valid email is required';
+    return '';
+}
 
+// Create or refresh the waitlist entry for a validated submission and send the
+// matching email. `createdAt` backdates a new entry (imports keep the original
+// signup date). Returns { customer, alreadyJoined }.
+async function upsertWaitlistEntry(submission, { createdAt = '' } = {}) {
+    const { name, email, interest, source, consent, referralCode, shareCode } = submission;
     const now = new Date().toISOString();
     const existing = await findCustomerByEmail(email);
 
     if (existing) {
         const previous = existing.metadata || {};
-        const currentStatus = getWaitlistStatus(previous) || 'pending';
+        // Existing customers joining the waitlist confirm their email like everyone else.
+        const currentStatus = getWaitlistStatus(previous) || 'unverified';
         const nextStatus = currentStatus === 'rejected' ? 'pending' : currentStatus;
         const submissionCount = (parseInt(previous.waitlist_submission_count || '0', 10) || 0) + 1;
 
-        const updated = await stripe.customers.update(existing.id, {
-            name: name || existing.name || undefined,
-            metadata: buildWaitlistMetadataPatch({
-                waitlist: 'true',
-                waitlist_status: nextStatus,
-                waitlist_name: name,
-                waitlist_interest: interest,
-                waitlist_source: source,
-                waitlist_consent: consent ? 'true' : 'false',
-                waitlist_submission_count: String(submissionCount),
-                waitlist_last_submitted_at: now,
-                waitlist_updated_at: now,
-                waitlist_created_at: previous.waitlist_created_at || now,
-            }),
-        });
-
-        return res.status(200).json({
-            success: true,
-            status: getWaitlistStatus(updated.metadata) || nextStatus,
-            already_joined: true,
-            customer_id: updated.id,
-        });
+        const updated = await licenseStore.update(existing.id, buildWaitlistMetadataPatch({
+            waitlist: 'true',
+            waitlist_status: nextStatus,
+            waitlist_name: name,
+            waitlist_interest: interest,
+            waitlist_source: source,
+            waitlist_consent: consent ? 'true' : 'false',
+            waitlist_submission_count: String(submissionCount),
+            waitlist_last_submitted_at: now,
+            waitlist_updated_at: now,
+            waitlist_created_at: previous.waitlist_created_at || createdAt || now,
+            waitlist_referral_code: previous.waitlist_referral_code || referralCode,
+            waitlist_share_code: previous.waitlist_share_code || generateShareCode(),
+            ...(nextStatus === 'unverified' && shareCode && !previous.waitlist_referred_by
+                ? { waitlist_signup_ref: shareCode }
+                : {}),
+        }), { name });
+
+        // Re-submitting is how applicants get their verification or status link again.
+        const updatedStatus = getWaitlistStatus(updated.metadata);
+        if (updatedStatus === 'unverified') {
+            await notifyVerificationEmail(updated);
+        } else if (QUEUE_STATUSES.has(updatedStatus)) {
+            await notifyStatusEmail(updated);
+        }
+        return { customer: updated, alreadyJoined: true };
     }
 
-    const created = await stripe.customers.create({
+    const created = await licenseStore.create({
         email,
         name,
         description: 'Nexus waitlist signup',
         metadata: {
             waitlist: 'true',
-            waitlist_status: 'pending',
+            waitlist_status: 'unverified',
             waitlist_name: name,
             waitlist_interest: interest,
             waitlist_source: source,
@@ -369,18 +342,95 @@ async function handlePublicSubmit(req, res) {
             waitlist_submission_count: '1',
             waitlist_last_submitted_at: now,
             waitlist_updated_at: now,
-            waitlist_created_at: now,
+            waitlist_created_at: createdAt || now,
+            ...(referralCode ? { waitlist_referral_code: referralCode } : {}),
+            waitlist_share_code: generateShareCode(),
+            ...(shareCode ? { waitlist_signup_ref: shareCode } : {}),
         },
     });
 
+    await notifyVerificationEmail(created);
+    return { customer: created, alreadyJoined: false };
+}
+
+async function handlePublicSubmit(req, res) {
+    // Rate limit check
+    const clientIP = getClientIP(req);
+    if (isRateLimited(clientIP)) {
+        return res.status(429).json({ success: false, error: 'Too many submissions. Please try again later.' });
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+
+    // Turnstile CAPTCHA verification
+    const turnstileToken = body.turnstile_token || body['cf-turnstile-response'] || '';
+    const captchaOk = await verifyTurnstile(turnstileToken);
+    if (!captchaOk) {
+        return res.status(400).json({ success: false, error: 'CAPTCHA verification failed. Please try again.' });
+    }
+
+    const submission = readSubmission(body);
+    const invalid = validateSubmission(submission);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const { customer, alreadyJoined } = await upsertWaitlistEntry(submission);
+    if (alreadyJoined) {
+        return res.status(200).json({
+            success: true,
+            status: getWaitlistStatus(customer.metadata),
+            already_joined: true,
+            customer_id: customer.id,
+        });
+    }
+
     return res.status(200).json({
         success: true,
-        status: 'pending',
+        status: 'unverified',
+        verification_required: true,
         already_joined: false,
-        customer_id: created.id,
+        customer_id: customer.id,
+        share_url: getShareUrl(customer.metadata?.waitlist_share_code),
+    });
+}
+
+async function handlePublicStatus(req, res) {
+    const payload = verifyStatusToken(req.query.token);
+    if (!payload) {
+        return res.status(401).json({ success: false, error: 'This status link is invalid or has expired' });
+    }
+
+    const customer = await licenseStore.getById(payload.cid).catch(() => null);
+    if (!customer || customer.deleted || !isWaitlistCustomer(customer.metadata || {})
+        || normalizeEmail(customer.email) !== payload.email) {
+        return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+    }
+
+    return res.status(200).json({
+        success: true,
+        entry: await buildStatusView(await ensureShareCode(customer)),
     });
 }
 
+// Confirmation links land here from the email, so answer with a redirect to the
+// status page rather than JSON.
+async function handlePublicVerify(req, res) {
+    const result = await verifyWaitlistEntry(req.query.token);
+    if (!result.ok) return res.redirect(302, getVerifyFailedRedirectUrl());
+    return res.redirect(302, getVerifiedRedirectUrl(result.customer));
+}
+
+async function handlePurgeUnverified(req, res) {
+    if (!(await requireAdmin(req, res, { allowCron: true }))) return;
+    const report = await purgeUnverifiedEntries();
+    console.log(`Unverified waitlist purge: ${JSON.stringify(report)}`);
+    return res.status(200).json({ success: true, ...report });
+}
+
+// Most waitlist entries the priority sort ranks in one request.
+const PRIORITY_SCAN_LIMIT = 5000;
+
 async function handleAdminList(req, res) {
     if (!(await requireAdmin(req, res))) return;
 
@@ -390,50 +440,248 @@ async function handleAdminList(req, res) {
         return res.status(400).json({ success: false, error: 'Invalid status filter' });
     }
 
+    const sort = cleanText(req.query.sort || 'recent', 16).toLowerCase();
+    if (sort !== 'recent' && sort !== 'priority') {
+        return res.status(400).json({ success: false, error: 'sort must be recent or priority' });
+    }
+    // Priority order ranks every waitlist entry at once, so it has no cursor.
+    const byPriority = sort === 'priority';
+    const includeUnverified = normalizedStatus === 'unverified'
+        || String(req.query.include_unverified || '').toLowerCase() === 'true';
+
     const limitRequested = parseInt(req.query.limit || '50', 10);
     const limit = Math.max(1, Math.min(100, Number.isFinite(limitRequested) ? limitRequested : 50));
     const cursor = cleanText(req.query.cursor, 64);
 
     const rows = [];
-    let hasMore = true;
-    let startingAfter = cursor || null;
     let nextCursor = null;
-    let pagesScanned = 0;
+    let truncated = false;
+    const keep = (customer) => {
+        const mapped = mapWaitlistCustomer(customer);
+        if (!mapped.is_waitlist || !mapped.status) return;
+        if (normalizedStatus !== 'all' && mapped.status !== normalizedStatus) return;
+        if (mapped.status === 'unverified' && !includeUnverified) return;
+        rows.push(mapped);
+    };
 
-    // Scan Stripe pages until we collect enough waitlist rows.
-    while (hasMore && rows.length < limit && pagesScanned < 20) {
-        pagesScanned += 1;
-        const page = await stripe.customers.list({
-            limit: 100,
-            ...(startingAfter ? { starting_after: startingAfter } : {}),
+    if (byPriority) {
+        const entries = await licenseStore.listByMetadata('waitlist', 'true', { limit: PRIORITY_SCAN_LIMIT + 1 });
+        truncated = entries.length > PRIORITY_SCAN_LIMIT;
+        if (truncated) console.warn(`Waitlist priority list ranks only the first ${PRIORITY_SCAN_LIMIT} entries`);
+        entries.slice(0, PRIORITY_SCAN_LIMIT).forEach(keep);
+        rows.sort((a, b) => b.priority_score - a.priority_score
+            || new Date(a.created_at || 0).getTime() - new Date(b.created_at || 0).getTime());
+        rows.splice(limit);
+    } else {
+        let hasMore = true;
+        let startingAfter = cursor || null;
+        let pagesScanned = 0;
+
+        // Scan store pages until we collect enough waitlist rows; the cursor is the
+        // last record looked at, so the next request picks up right after it.
+        while (hasMore && rows.length < limit && pagesScanned < 20) {
+            pagesScanned += 1;
+            const page = await licenseStore.listPage({ startingAfter, limit: 100 });
+            let consumed = 0;
+            for (const customer of page.data) {
+                consumed += 1;
+                startingAfter = customer.id;
+                keep(customer);
+                if (rows.length >= limit) break;
+            }
+            hasMore = page.has_more || consumed < page.data.length;
+        }
+        nextCursor = hasMore ? startingAfter : null;
+
+        rows.sort((a, b) => {
+            const aTs = new Date(a.last_submitted_at || a.created_at || 0).getTime();
+            const bTs = new Date(b.last_submitted_at || b.created_at || 0).getTime();
+            return bTs - aTs;
         });
+    }
 
-        const customers = page.data || [];
+    return res.status(200).json({
+        success: true,
+        status: normalizedStatus,
+        sort,
+        count: rows.length,
+        next_cursor: nextCursor,
+        truncated,
+        entries: rows,
+    });
+}
+
+// Export and import stop once BATCH_TIME_BUDGET_MS has passed, well inside the
+// function's maxDuration (vercel.json), and return a cursor / next row to resume from.
+const BATCH_TIME_BUDGET_MS = 45 * 1000;
+const EXPORT_MAX_PAGES = 50;
+const IMPORT_MAX_ROWS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date-only upper bound covers that whole day. Returns null when unset, NaN when invalid.
+function parseDateBound(value, { endOfDay = false } = {}) {
+    const raw = cleanText(value, 40);
+    if (!raw) return null;
+    const ts = Date.parse(raw);
+    if (Number.isNaN(ts)) return NaN;
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(raw) ? ts + DAY_MS - 1 : ts;
+}
+
+async function handleAdminExport(req, res) {
+    const startedAt = Date.now();
+    const actor = await requireAdmin(req, res);
+    if (!actor) return;
+
+    const statusFilter = cleanText(req.query.status || 'all', 32).toLowerCase();
+    if (statusFilter !== 'all' && !WAITLIST_STATUSES.has(statusFilter)) {
+        return res.status(400).json({ success: false, error: 'Invalid status filter' });
+    }
+    const includeUnverified = statusFilter === 'unverified'
+        || String(req.query.include_unverified || '').toLowerCase() === 'true';
+    const from = parseDateBound(req.query.from);
+    const to = parseDateBound(req.query.to, { endOfDay: true });
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD or ISO 8601)' });
+    }
+
+    const rows = [];
+    let hasMore = true;
+    let startingAfter = cleanText(req.query.cursor, 64) || null;
+    let pagesScanned = 0;
+
+    while (hasMore && pagesScanned < EXPORT_MAX_PAGES && (!pagesScanned || Date.now() - startedAt < BATCH_TIME_BUDGET_MS)) {
+        pagesScanned += 1;
+        const page = await licenseStore.listPage({ startingAfter, limit: 100 });
+        const customers = page.data;
         for (const customer of customers) {
             const mapped = mapWaitlistCustomer(customer);
             if (!mapped.is_waitlist || !mapped.status) continue;
-            if (normalizedStatus !== 'all' && mapped.status !== normalizedStatus) continue;
+            if (statusFilter !== 'all' && mapped.status !== statusFilter) continue;
+            if (mapped.status === 'unverified' && !includeUnverified) continue;
+            const createdTs = new Date(mapped.created_at || 0).getTime();
+            if ((from !== null && createdTs < from) || (to !== null && createdTs > to)) continue;
             rows.push(mapped);
-            if (rows.length >= limit) break;
         }
 
         hasMore = !!page.has_more;
         startingAfter = customers.length ? customers[customers.length - 1].id : null;
-        nextCursor = hasMore ? startingAfter : null;
+    }
+    const nextCursor = hasMore ? startingAfter : null;
+    if (nextCursor) {
+        console.log(`Waitlist export by ${actor.name} stopped after ${pagesScanned} pages; continues at cursor ${nextCursor}`);
     }
 
-    rows.sort((a, b) => {
-        const aTs = new Date(a.last_submitted_at || a.created_at || 0).getTime();
-        const bTs = new Date(b.last_submitted_at || b.created_at || 0).getTime();
-        return bTs - aTs;
-    });
+    rows.sort((a, b) => new Date(a.created_at || 0).getTime() - new Date(b.created_at || 0).getTime());
+    // Every field mapWaitlistCustomer produces, in its order.
+    const columns = Object.keys(mapWaitlistCustomer({ id: '', metadata: {} }));
+    const filename = `waitlist-${statusFilter}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Waitlist-Export-Rows', String(rows.length));
+    res.setHeader('X-Waitlist-Export-Truncated', nextCursor ? 'true' : 'false');
+    res.setHeader('X-Waitlist-Export-Next-Cursor', nextCursor || '');
+    return res.status(200).send(toCsv(columns, rows));
+}
+
+// Upsert CSV rows as if each had been submitted through the public form (no
+// rate limit or CAPTCHA). Columns: name, email (required), message or interest,
+// source, consent, ref, created_at. A long file is imported over several
+// requests: each returns next_row until done, and the same CSV is posted again
+// with start_row set to it.
+async function handleAdminImport(req, res) {
+    const startedAt = Date.now();
+    const actor = await requireAdmin(req, res);
+    if (!actor) return;
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const csv = typeof req.body === 'string' ? req.body : String(body.csv || '');
+    const dryRun = body.dry_run === true
+        || String(req.query.dry_run ?? body.dry_run ?? '').toLowerCase() === 'true';
+    const startRow = parseInt(req.query.start_row ?? body.start_row ?? '0', 10) || 0;
+
+    const parsed = readCsvRecords(csv, { required: ['name', 'email'], maxRows: IMPORT_MAX_ROWS });
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const report = { created: 0, updated: 0, failed: 0 };
+    const results = [];
+    const seenRows = new Map();
+    let nextRow = null;
+    for (const { line, values } of parsed.records) {
+        const submission = readSubmission({
+            name: values.name,
+            email: values.email,
+            message: values.message || values.interest,
+            source: values.source,
+            consent: /^(true|yes|y|1)$/i.test(values.consent || ''),
+            ref: values.ref,
+        }, 'csv_import');
+
+        let error = validateSubmission(submission);
+        let createdAt = '';
+        if (!error && values.created_at) {
+            const createdTs = Date.parse(values.created_at);
+            if (Number.isNaN(createdTs) || createdTs > Date.now()) {
+                error = 'created_at must be a past date';
+            } else {
+                createdAt = new Date(createdTs).toISOString();
+            }
+        }
+        if (!error && seenRows.has(submission.email)) {
+            error = `Duplicate of row ${seenRows.get(submission.email)}`;
+        }
+        // Rows handled by an earlier request still count for duplicate detection.
+        if (line < startRow) {
+            if (!error) seenRows.set(submission.email, line);
+            continue;
+        }
+        if (results.length && Date.now() - startedAt >= BATCH_TIME_BUDGET_MS) {
+            nextRow = line;
+            break;
+        }
+        if (error) {
+            report.failed += 1;
+            results.push({ row: line, email: submission.email, outcome: 'error', error });
+            continue;
+        }
+        seenRows.set(submission.email, line);
+
+        try {
+            if (dryRun) {
+                const existing = await findCustomerByEmail(submission.email);
+                const outcome = existing ? 'updated' : 'created';
+                report[outcome] += 1;
+                results.push({ row: line, email: submission.email, outcome, customer_id: existing?.id || null });
+                continue;
+            }
+            const { customer, alreadyJoined } = await upsertWaitlistEntry(submission, { createdAt });
+            const outcome = alreadyJoined ? 'updated' : 'created';
+            report[outcome] += 1;
+            results.push({
+                row: line,
+                email: submission.email,
+                outcome,
+                status: getWaitlistStatus(customer.metadata),
+                customer_id: customer.id,
+            });
+        } catch (err) {
+            report.failed += 1;
+            results.push({ row: line, email: submission.email, outcome: 'error', error: getAdminErrorMessage(err) });
+        }
+    }
 
+    console.log(`Waitlist CSV import${dryRun ? ' (dry run)' : ''} by ${actor.name}: ${report.created} created, ${report.updated} updated, ${report.failed} failed${nextRow ? `; continues at row ${nextRow}` : ''}`);
     return res.status(200).json({
         success: true,
-        status: normalizedStatus,
-        count: rows.length,
-        next_cursor: nextCursor,
-        entries: rows,
+        dry_run: dryRun,
+        rows: parsed.records.length,
+        processed: results.length,
+        next_row: nextRow,
+        ...report,
+        results,
     });
 }
 
@@ -447,6 +695,7 @@ async function handleAdminUpdate(req, res) {
     const notes = cleanText(body.notes, 500);
     const sendInviteEmail = !!body.send_invite_email;
     const sendInvite = !!body.send_invite || sendInviteEmail;
+    const grantTrial = !!body.grant_trial;
 
     if (!customerId && !email) {
         return res.status(400).json({ success: false, error: 'customer_id or email is required' });
@@ -457,7 +706,7 @@ async function handleAdminUpdate(req, res) {
 
     let customer = null;
     if (customerId) {
-        customer = await stripe.customers.retrieve(customerId);
+        customer = await licenseStore.getById(customerId);
     } else {
         customer = await findCustomerByEmail(email);
     }
@@ -477,18 +726,53 @@ async function handleAdminUpdate(req, res) {
         waitlist_updated_at: now,
         waitlist_reviewed_at: now,
         waitlist_review_notes: notes,
+        // A manual decision replaces an auto-review (_waitlist-automation.js).
+        waitlist_review_rule: '',
     });
 
     let invite = null;
     let inviteEmail = null;
-    if (sendInvite) {
+    let trial = null;
+    if (grantTrial) {
+        const trialEmail = normalizeEmail(customer.email);
+        if (!trialEmail) {
+            return res.status(400).json({ success: false, error: 'Customer is missing an email; cannot grant a trial' });
+        }
+        if (previous.license_key) {
+            return res.status(409).json({ success: false, error: 'Customer already has a license key' });
+        }
+
+        const licensePatch = buildIssuedLicensePatch('trial');
+        const stored = await upsertLicenseRecord(
+            { customerId: customer.id, email: trialEmail },
+            () => ({ ...licensePatch, ...buildEmailQueuedPatch('license') })
+        );
+        const trialEmailResult = await sendLicenseEmail(
+            trialEmail,
+            licensePatch.license_key,
+            'trial',
+            stored?.customer?.id || customer.id,
+            licensePatch.license_expires_at
+        );
+
+        trial = {
+            license_key: licensePatch.license_key,
+            expires_at: licensePatch.license_expires_at,
+            duration_days: LICENSE_PLANS.trial.durationDays,
+            email: trialEmailResult,
+        };
+        metadata.waitlist_status = 'converted';
+        metadata.waitlist_converted_at = now;
+        metadata.waitlist_trial_granted_at = now;
+    } else if (sendInvite) {
         if (!normalizeEmail(customer.email)) {
             return res.status(400).json({ success: false, error: 'Customer is missing an email; cannot generate invite' });
         }
         const inviteResult = await createInviteForCustomer(
             normalizeEmail(customer.email),
             previous.waitlist_name || customer.name || customer.email || '',
-            customer.id
+            customer.id,
+            previous.waitlist_referral_code || ''
         );
 
         if (!inviteResult.ok) {
@@ -498,6 +782,10 @@ async function handleAdminUpdate(req, res) {
         invite = inviteResult;
         metadata.waitlist_status = 'invited';
         metadata.waitlist_invited_at = now;
+        Object.assign(metadata, buildInviteSessionPatch({
+            sessionId: inviteResult.session_id,
+            expiresAt: inviteResult.expires_at,
+        }));
 
         if (sendInviteEmail) {
             inviteEmail = await sendWaitlistInviteEmail({
@@ -517,12 +805,13 @@ async function handleAdminUpdate(req, res) {
         }
     }
 
-    const updated = await stripe.customers.update(customer.id, { metadata });
+    const updated = await licenseStore.update(customer.id, metadata);
     return res.status(200).json({
         success: true,
         entry: mapWaitlistCustomer(updated),
         invite,
         invite_email: inviteEmail,
+        trial,
     });
 }
 
@@ -539,7 +828,7 @@ async function handleAdminDelete(req, res) {
 
     let customer = null;
     if (customerId) {
-        customer = await stripe.customers.retrieve(customerId);
+        customer = await licenseStore.getById(customerId);
     } else {
         customer = await findCustomerByEmail(email);
     }
@@ -548,24 +837,41 @@ async function handleAdminDelete(req, res) {
         return res.status(404).json({ success: false, error: 'Waitlist customer not found' });
     }
 
-    const updated = await stripe.customers.update(customer.id, {
-        metadata: buildWaitlistMetadataPatch({
-            waitlist: '',
-            waitlist_status: '',
-            waitlist_name: '',
-            waitlist_interest: '',
-            waitlist_source: '',
-            waitlist_consent: '',
-            waitlist_submission_count: '',
-            waitlist_last_submitted_at: '',
-            waitlist_updated_at: '',
-            waitlist_created_at: '',
-            waitlist_review_notes: '',
-            waitlist_reviewed_at: '',
-            waitlist_invited_at: '',
-            waitlist_converted_at: '',
-        }),
-    });
+    const updated = await licenseStore.update(customer.id, buildWaitlistMetadataPatch({
+        waitlist: '',
+        waitlist_status: '',
+        waitlist_name: '',
+        waitlist_interest: '',
+        waitlist_source: '',
+        waitlist_consent: '',
+        waitlist_submission_count: '',
+        waitlist_last_submitted_at: '',
+        waitlist_updated_at: '',
+        waitlist_created_at: '',
+        waitlist_review_notes: '',
+        waitlist_reviewed_at: '',
+        waitlist_reviewed_by: '',
+        waitlist_review_rule: '',
+        waitlist_wave_invited_at: '',
+        waitlist_invited_at: '',
+        waitlist_invite_session_id: '',
+        waitlist_invite_status: '',
+        waitlist_invite_expires_at: '',
+        waitlist_invite_outcome_at: '',
+        waitlist_invite_reissue_count: '',
+        waitlist_converted_at: '',
+        waitlist_trial_granted_at: '',
+        waitlist_referral_code: '',
+        waitlist_share_code: '',
+        waitlist_referral_count: '',
+        waitlist_referral_last_at: '',
+        waitlist_referred_by: '',
+        waitlist_referrer_id: '',
+        waitlist_status_email_sent_at: '',
+        waitlist_verify_email_sent_at: '',
+        waitlist_verified_at: '',
+        waitlist_signup_ref: '',
+    }));
 
     return res.status(200).json({
         success: true,
@@ -581,12 +887,17 @@ module.exports = async function handler(req, res) {
         return res.status(200).end();
     }
 
-    if (!process.env.STRIPE_SECRET_KEY) {
+    if (licenseStore.name === 'stripe' && !process.env.STRIPE_SECRET_KEY) {
         return res.status(500).json({ success: false, error: 'STRIPE_SECRET_KEY not configured' });
     }
 
     try {
+        if (req.method === 'POST' && req.query?.action === 'import') return await handleAdminImport(req, res);
         if (req.method === 'POST') return await handlePublicSubmit(req, res);
+        if (req.method === 'GET' && req.query?.view === 'status') return await handlePublicStatus(req, res);
+        if (req.method === 'GET' && req.query?.view === 'verify') return await handlePublicVerify(req, res);
+        if (req.method === 'GET' && req.query?.action === 'purge_unverified') return await handlePurgeUnverified(req, res);
+        if (req.method === 'GET' && req.query?.format === 'csv') return await handleAdminExport(req, res);
         if (req.method === 'GET') return await handleAdminList(req, res);
         if (req.method === 'PATCH') return await handleAdminUpdate(req, res);
         if (req.method === 'DELETE') return await handleAdminDelete(req, res);
@@ -594,7 +905,9 @@ module.exports = async function handler(req, res) {
     } catch (err) {
         console.error('Waitlist API error:', err?.stack || err?.message || String(err));
         if (Sentry) Sentry.captureException(err);
-        const exposeAdminError = req.method !== 'POST' || !!getBearerToken(req);
+        const isPublic = (req.method === 'POST' && req.query?.action !== 'import')
+            || req.query?.view === 'status' || req.query?.view === 'verify';
+        const exposeAdminError = !isPublic || !!getBearerToken(req);
         return res.status(500).json({
             success: false,
             error: exposeAdminError ? getAdminErrorMessage(err) : 'Waitlist request failed',
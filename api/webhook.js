@@ -1,14 +1,62 @@
 // Vercel Serverless Function: Stripe Webhook Handler
 // Listens for successful payments/subscriptions, generates license keys,
-// and emails them to the customer via Resend.
+// and emails them to the customer via Resend. Subscription, refund and dispute
+// events move the license between active / inactive / suspended
+// (license_status) and change tier on subscription plan changes. invoice.paid
+// credits referrals parked on licenses that started free (trials).
+//
+// Checkouts map to a plan in the server-side catalog (_plan-catalog.js) through
+// session metadata.plan_slug or the purchased price; the catalog decides the
+// license plan and tier. A subscription price maps to a tier through the
+// catalog, price.metadata.license_tier, or a lookup_key of basic|pro|unlimited.
+// Gift checkouts (metadata.gift) store a gift code for the recipient instead of
+// licensing the buyer (_license-gifts.js); their refunds and disputes void the
+// code, or act on the license it was redeemed onto. Waitlist invite checkouts that expire
+// unused (checkout.session.expired) are reissued or marked invite_expired
+// (_waitlist-invites.js); invite code checkouts reserve a redemption that the
+// completion consumes and the expiry releases (_invite-codes.js).
 //
 // Environment Variables (set in Vercel Dashboard > Settings > Environment Variables):
 //   STRIPE_SECRET_KEY — your Stripe secret key (sk_live_...)
 //   STRIPE_WEBHOOK_SECRET — webhook signing secret (whsec_...)
-//   RESEND_API_KEY — Resend API key for transactional emails (re_...)
+//   RESEND_API_KEY — Resend API key for transactional emails (re_...), or any
+//                    other EMAIL_TRANSPORT configuration (see _email-transport.js)
 
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const crypto = require('crypto');
+const {
+    licenseStore,
+    LICENSE_PLANS,
+    cleanText,
+    getLicenseStatus,
+    getLicenseTier,
+    buildCheckoutLicensePatch,
+    buildLicenseStatusPatch,
+    appendRecentId,
+    getPurchaseRole,
+    buildSeatRemovalPatch,
+    buildSeatRestorePatch,
+    upsertLicenseRecord,
+    findCustomerById,
+    findCustomerByEmail,
+} = require('./_license-utils');
+const { sendLicenseEmail, buildEmailQueuedPatch } = require('./_license-email');
+const { getPlan, findPlanByPriceId } = require('./_plan-catalog');
+const {
+    generateReferralCode,
+    normalizeReferralCode,
+    creditReferral,
+    reverseReferral,
+} = require('./_license-referrals');
+const {
+    createGiftFromCheckout,
+    sendGiftEmail,
+    findGiftByCheckoutSession,
+    findGiftByPaymentIntent,
+    voidGift,
+    restoreGift,
+} = require('./_license-gifts');
+const { recordInviteCodeRedemption, releaseInviteCodeReservation } = require('./_invite-codes');
+const { handleExpiredInvite } = require('./_waitlist-invites');
 
 // ──── Sentry observability (optional, graceful if not configured) ────
 let Sentry = null;
@@ -25,15 +73,6 @@ try {
     // Sentry not installed — continue without it
 }
 
-// Generate a unique license key: NEXUS-XXXX-XXXX-XXXX-XXXX
-function generateLicenseKey() {
-    const segments = [];
-    for (let i = 0; i < 4; i++) {
-        segments.push(crypto.randomBytes(2).toString('hex').toUpperCase());
-    }
-    return `NEXUS-${segments.join('-')}`;
-}
-
 // Vercel requires raw body for webhook signature verification
 module.exports.config = {
     api: {
@@ -49,121 +88,575 @@ async function getRawBody(req) {
     return Buffer.concat(chunks);
 }
 
-// Send the license key via Resend transactional email with retry logic
-async function sendLicenseEmail(email, licenseKey, plan, customerId = null) {
-    if (!process.env.RESEND_API_KEY) {
-        console.log('RESEND_API_KEY not set — skipping email delivery');
-        return { ok: false, error: 'RESEND_API_KEY not configured' };
-    }
-
-    const emailBody = {
-        from: 'Nexus by Hyperfect <noreply@admin.hyperfect.dev>',
-        to: email,
-        subject: 'Your Nexus License Key',
-        html: `
-            <div style="background-color: #0f0f1a; padding: 0; margin: 0; width: 100%;">
-                <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 560px; margin: 0 auto; padding: 40px 20px;">
-
-                    <div style="text-align: center; margin-bottom: 32px;">
-                        <h1 style="font-size: 26px; color: #ffffff; margin: 0; font-weight: 700;">Welcome to Nexus</h1>
-                        <p style="color: #d4d4d8; font-size: 15px; margin-top: 10px;">Thanks for your purchase! Here's your license key.</p>
-                    </div>
-
-                    <div style="background-color: #1a1a2e; border: 1px solid #2a2a40; border-radius: 12px; padding: 24px; text-align: center; margin: 24px 0;">
-                        <div style="font-size: 11px; text-transform: uppercase; letter-spacing: 1px; color: #a1a1aa; margin-bottom: 12px;">Your License Key</div>
-                        <div style="font-family: 'SF Mono', 'Fira Code', Consolas, monospace; font-size: 20px; font-weight: 700; color: #ffffff; letter-spacing: 2px; padding: 14px; background-color: #1e2a4a; border-radius: 8px;">
-                            ${licenseKey}
-                        </div>
-                        <div style="font-size: 13px; color: #a1a1aa; margin-top: 12px;">Plan: ${plan === 'subscription' ? 'Subscription' : 'Beta Access'}</div>
-                    </div>
-
-                    <div style="background-color: #141428; border: 1px solid #2a2a40; border-radius: 8px; padding: 20px; margin: 24px 0;">
-                        <h3 style="font-size: 15px; color: #ffffff; margin: 0 0 12px 0; font-weight: 600;">Getting Started</h3>
-                        <ol style="color: #d4d4d8; font-size: 14px; line-height: 2; margin: 0; padding-left: 18px;">
-                            <li>Join our Discord server to download Nexus</li>
-                            <li>Open the app and enter your license key</li>
-                            <li>Upload your resume and configure your job preferences</li>
-                            <li>Create your first task and let Nexus work</li>
-                        </ol>
-                    </div>
-
-                    <div style="text-align: center; margin: 28px 0;">
-                        <a href="https://discord.gg/Ynvcw6Dts4" style="display: inline-block; background-color: #5865F2; color: #ffffff; text-decoration: none; font-size: 15px; font-weight: 600; padding: 14px 32px; border-radius: 8px;">Join the Discord Server</a>
-                    </div>
-
-                    <div style="text-align: center; margin-top: 32px; padding-top: 24px; border-top: 1px solid #2a2a40;">
-                        <p style="color: #a1a1aa; font-size: 12px; margin: 0;">Questions? Reach us at <a href="mailto:Hyperfectllc@gmail.com" style="color: #3b82f6;">Hyperfectllc@gmail.com</a></p>
-                        <p style="color: #71717a; font-size: 11px; margin-top: 8px;">&copy; 2026 Hyperfect LLC &bull; <a href="https://hyperfect.dev" style="color: #71717a;">hyperfect.dev</a></p>
-                    </div>
-
-                </div>
-            </div>
-        `,
-    };
+// Event IDs this instance already handled. Stripe retries deliveries that time
+// out, so a warm instance short-circuits them; the durable check is the
+// license_checkout_events list on the customer.
+const _processedEvents = new Set();
+const PROCESSED_EVENTS_MAX = 500;
 
-    // Retry up to 3 times with exponential backoff
-    const MAX_RETRIES = 3;
-    let lastError = '';
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        try {
-            const res = await fetch('https://api.resend.com/emails', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(emailBody),
-            });
+function rememberEvent(eventId) {
+    _processedEvents.add(eventId);
+    if (_processedEvents.size > PROCESSED_EVENTS_MAX) {
+        _processedEvents.delete(_processedEvents.values().next().value);
+    }
+}
 
-            if (res.ok) {
-                const data = await res.json().catch(() => ({}));
-                console.log(`License email sent to ${email} (attempt ${attempt}, id=${data?.id || 'unknown'})`);
-                return { ok: true, id: data?.id || '', attempt };
-            }
+// Find the catalog plan a checkout was for: our own sessions carry plan_slug;
+// payment links and older sessions are matched on the purchased price.
+async function resolveCheckoutPlan(session) {
+    const bySlug = getPlan(session.metadata?.plan_slug);
+    if (bySlug) return bySlug;
 
-            lastError = await res.text().catch(() => `HTTP ${res.status}`);
-            console.error(`License email attempt ${attempt}/${MAX_RETRIES} failed: ${lastError}`);
+    try {
+        const lineItems = await stripe.checkout.sessions.listLineItems(session.id, { limit: 5 });
+        for (const item of lineItems.data || []) {
+            const byPrice = findPlanByPriceId(item.price?.id);
+            if (byPrice) return byPrice;
+        }
+    } catch (err) {
+        console.error(`Could not load line items for ${session.id}:`, err?.message || String(err));
+    }
+    return null;
+}
 
-            // Don't retry on 4xx client errors (bad request, invalid email, etc.)
-            if (res.status >= 400 && res.status < 500) {
-                break;
-            }
-        } catch (err) {
-            lastError = err?.message || String(err);
-            console.error(`License email attempt ${attempt}/${MAX_RETRIES} error: ${lastError}`);
+// Gift checkouts don't license the buyer: the gift is stored unredeemed and its
+// code emailed to the recipient, who redeems it on /redeem.
+async function handleGiftCheckout(session, { plan, catalogPlan }) {
+    const { gift, created } = await createGiftFromCheckout({ session, plan, catalogPlan });
+    if (!created) {
+        console.log(`Gift checkout ${session.id} already recorded; skipping`);
+        return;
+    }
+
+    const metadata = gift.metadata || {};
+    console.log('=== GIFT CHECKOUT COMPLETED ===');
+    console.log(`Buyer: ${metadata.gift_buyer_email}`);
+    console.log(`Recipient: ${metadata.gift_recipient_email}`);
+    console.log(`Gift: ${metadata.gift_code}`);
+    console.log(`Session: ${session.id}`);
+    console.log(`Plan: ${catalogPlan ? catalogPlan.slug : plan}`);
+    console.log('===============================');
+
+    const emailResult = await sendGiftEmail(gift);
+    if (!emailResult.ok) {
+        console.error(`Gift email failed for ${metadata.gift_recipient_email} (gift=${metadata.gift_code}): ${emailResult.error}`);
+        if (Sentry) Sentry.captureMessage(`Gift email failed for ${metadata.gift_code}`, { level: 'warning' });
+    }
+}
+
+function stripeId(value) {
+    return typeof value === 'string' ? value : value?.id || '';
+}
+
+// A repeat purchase that can't add machines (seat_capped) is refunded instead of
+// kept for nothing; a subscription bought that way is cancelled too. The refund
+// and cancellation events are recognised through license_refused_purchases.
+async function refuseCappedPurchase(session) {
+    const subscriptionId = stripeId(session.subscription);
+    if (subscriptionId) await stripe.subscriptions.cancel(subscriptionId);
+
+    let paymentIntentId = stripeId(session.payment_intent);
+    if (!paymentIntentId && session.invoice) {
+        const invoice = await stripe.invoices.retrieve(stripeId(session.invoice));
+        paymentIntentId = stripeId(invoice?.payment_intent);
+    }
+    if (paymentIntentId && (session.amount_total || 0) > 0) {
+        await stripe.refunds.create(
+            { payment_intent: paymentIntentId, reason: 'requested_by_customer' },
+            { idempotencyKey: `seat-capped-refund:${session.id}` }
+        );
+    }
+}
+
+// Checkout outcomes that leave the buyer with a key to email; refused (seat_capped),
+// held and duplicate purchases queue nothing for the outbox.
+const LICENSE_EMAIL_OUTCOMES = new Set(['issued', 'renewed', 'extended', 'seat_added']);
+
+async function handleCheckoutCompleted(event) {
+    const session = event.data.object;
+    const customerEmail = session.customer_email || session.customer_details?.email;
+    const catalogPlan = await resolveCheckoutPlan(session);
+    let plan = catalogPlan?.licensePlan;
+    if (!plan) {
+        // Not in the catalog (e.g. an ad-hoc price): fall back to a pinned plan or the mode.
+        const requestedPlan = String(session.metadata?.license_plan || '').toLowerCase();
+        plan = LICENSE_PLANS[requestedPlan]
+            ? requestedPlan
+            : (session.mode === 'subscription' ? 'subscription' : 'lifetime');
+        console.warn(`Checkout ${session.id} matched no catalog plan; using ${plan}`);
+        if (Sentry) Sentry.captureMessage(`Checkout ${session.id} matched no catalog plan`, { level: 'warning' });
+    }
+
+    if (session.metadata?.gift === 'true') {
+        await handleGiftCheckout(session, { plan, catalogPlan });
+        return;
+    }
+
+    // An invite code checkout only issues while the code has room and the email
+    // hasn't redeemed it before; its reservation is settled either way.
+    const inviteCode = session.metadata?.invite_code || '';
+    if (inviteCode) {
+        const redemption = await recordInviteCodeRedemption(session, { email: customerEmail || '' });
+        if (!redemption.ok) {
+            console.warn(`Invite code ${inviteCode} checkout ${session.id} not honoured: ${redemption.reason}`);
+            if (Sentry) Sentry.captureMessage(`Invite code checkout ${session.id} refused (${redemption.reason})`, { level: 'warning' });
+            return;
         }
+    }
 
-        // Wait before retry (1s, 2s, 4s)
-        if (attempt < MAX_RETRIES) {
-            await new Promise(r => setTimeout(r, 1000 * Math.pow(2, attempt - 1)));
+    // Store the license on the customer record. For $0 checkouts, Stripe may not
+    // auto-create a customer — upsertLicenseRecord creates one if needed. Errors
+    // propagate so Stripe retries; the event ID check makes the retry safe.
+    let result = null;
+    const stored = await upsertLicenseRecord(
+        { customerId: session.customer, email: customerEmail },
+        (existingMetadata) => {
+            result = buildCheckoutLicensePatch(existingMetadata, plan, {
+                eventId: event.id,
+                sessionId: session.id,
+                // Invite codes may grant a different tier than the plan's.
+                tier: session.metadata?.invite_tier || catalogPlan?.tier || '',
+                planSlug: catalogPlan?.slug || '',
+                purchaseRef: stripeId(session.subscription) || stripeId(session.payment_intent),
+            });
+            if (result.outcome === 'duplicate') return {};
+
+            const nowIso = new Date().toISOString();
+            const fromWaitlist = existingMetadata.waitlist === 'true' || !!existingMetadata.waitlist_status;
+            return {
+                ...result.patch,
+                ...(result.outcome === 'issued' && !existingMetadata.license_referral_code
+                    ? { license_referral_code: generateReferralCode() }
+                    : {}),
+                ...(LICENSE_EMAIL_OUTCOMES.has(result.outcome) && customerEmail ? buildEmailQueuedPatch('license') : {}),
+                ...(inviteCode ? { license_invite_codes: appendRecentId(existingMetadata.license_invite_codes, inviteCode) } : {}),
+                ...(fromWaitlist ? {
+                    waitlist: 'true',
+                    waitlist_status: 'converted',
+                    waitlist_converted_at: nowIso,
+                    waitlist_updated_at: nowIso,
+                } : {}),
+                ...(fromWaitlist && session.metadata?.waitlist_customer_id ? {
+                    waitlist_invite_session_id: session.id,
+                    waitlist_invite_status: 'completed',
+                    waitlist_invite_outcome_at: nowIso,
+                } : {}),
+            };
         }
+    );
+    if (!stored || !result) {
+        console.error(`Checkout ${session.id} has no email or customer; license not issued`);
+        return;
     }
 
-    // All retries exhausted — log to Sentry and store failure on customer metadata
-    const errorMsg = `License email delivery failed after ${MAX_RETRIES} attempts: ${lastError}`;
-    console.error(errorMsg);
-    if (Sentry) {
-        Sentry.captureMessage(errorMsg, { level: 'error', extra: { email, licenseKey, customerId } });
+    const customerId = stored.customer.id;
+    const licenseKey = result.licenseKey;
+    if (stored.created) console.log(`Created new customer ${customerId} for ${customerEmail}`);
+
+    console.log('=== CHECKOUT COMPLETED ===');
+    console.log(`Email: ${customerEmail}`);
+    console.log(`Outcome: ${result.outcome}`);
+    console.log(`License: ${licenseKey}`);
+    console.log(`Session: ${session.id}`);
+    console.log(`Plan: ${catalogPlan ? catalogPlan.slug : plan} (${session.mode})`);
+    console.log(`Amount: ${session.amount_total / 100} ${session.currency?.toUpperCase()}`);
+    console.log('==========================');
+
+    if (result.outcome === 'duplicate') return;
+    if (result.outcome === 'seat_capped') {
+        console.warn(`Checkout ${session.id} on ${customerId} would add no machines; refunding`);
+        try {
+            await refuseCappedPurchase(session);
+        } catch (err) {
+            console.error(`CRITICAL: Refund of capped seat purchase ${session.id} failed; needs admin review:`, err?.message || String(err));
+            if (Sentry) Sentry.captureException(err);
+        }
+        return;
+    }
+    if (result.outcome === 'held') {
+        console.error(`CRITICAL: Purchase ${session.id} on revoked license ${customerId}; needs admin review`);
+        if (Sentry) Sentry.captureMessage(`Purchase on revoked license ${customerId}`, { level: 'warning' });
+        return;
     }
 
-    // Store email failure on customer metadata so admin can manually resend
-    if (customerId) {
+    // Only first-time paid licenses earn the referrer a reward; free ones (trials,
+    // beta invites) wait for their first paid invoice (handleInvoicePaid). A failed
+    // credit is logged rather than retried: the replayed event would be skipped as
+    // a duplicate anyway.
+    const referralCode = normalizeReferralCode(session.metadata?.referral_code);
+    if (result.outcome === 'issued' && referralCode && !((session.amount_total || 0) > 0)) {
+        await licenseStore.update(customerId, { license_referral_pending: referralCode });
+        console.log(`Referral ${referralCode} on ${session.id} pending until the first paid invoice`);
+    } else if (result.outcome === 'issued' && referralCode) {
         try {
-            const existing = await stripe.customers.retrieve(customerId);
-            await stripe.customers.update(customerId, {
-                metadata: {
-                    ...(existing?.metadata || {}),
-                    license_email_failed: 'true',
-                    license_email_error: String(lastError).slice(0, 200),
-                    license_email_failed_at: new Date().toISOString(),
-                },
-            });
-        } catch (metaErr) {
-            console.error('Failed to store email failure on customer:', metaErr?.message);
+            const referral = await creditReferral({ code: referralCode, referee: stored.customer });
+            if (!referral.credited) console.log(`Referral ${referralCode} on ${session.id} not credited: ${referral.reason}`);
+        } catch (err) {
+            console.error(`Referral credit failed for ${session.id}:`, err?.message || String(err));
+            if (Sentry) Sentry.captureException(err);
+        }
+    }
+
+    // Email the (possibly unchanged) license key to the customer (with retry)
+    if (customerEmail) {
+        const emailResult = await sendLicenseEmail(
+            customerEmail,
+            licenseKey,
+            stored.customer.metadata?.plan || plan,
+            customerId,
+            stored.customer.metadata?.license_expires_at || ''
+        );
+        if (!emailResult.ok) {
+            console.error(`CRITICAL: License email failed for ${customerEmail} (key=${licenseKey}, customer=${customerId})`);
+        }
+    }
+}
+
+// Waitlist invites are followed up and invite code sessions give their
+// reservation back; other sessions (payment pages) simply lapse.
+async function handleCheckoutExpired(event) {
+    const session = event.data.object;
+    if (session.metadata?.invite_code) {
+        await releaseInviteCodeReservation(session);
+        console.log(`Invite code ${session.metadata.invite_code} session ${session.id} expired; reservation released`);
+        return;
+    }
+
+    const waitlistCustomerId = session.metadata?.waitlist_customer_id;
+    if (!waitlistCustomerId) return;
+
+    const customer = await findLicenseCustomer(waitlistCustomerId, session.customer_email || '');
+    if (!customer) {
+        console.log(`No waitlist entry found for expired invite ${session.id}`);
+        return;
+    }
+
+    const result = await handleExpiredInvite(customer, session);
+    if (result.outcome === 'reissued') {
+        console.log(`Waitlist invite ${session.id} expired; reissued as ${result.session_id} for ${customer.id} (reissue ${result.reissues})`);
+        if (!result.email_sent) console.error(`Reissued invite email failed for ${customer.id}`);
+    } else if (result.outcome === 'expired') {
+        console.log(`Waitlist invite ${session.id} expired; ${customer.id} is now invite_expired${result.error ? ` (${result.error})` : ''}`);
+    } else {
+        console.log(`Expired invite ${session.id} ignored for ${customer.id} (${result.reason})`);
+    }
+}
+
+// Subscription statuses that still entitle the customer to a working license.
+const ENTITLED_SUBSCRIPTION_STATUSES = new Set(['active', 'trialing', 'past_due']);
+// Reasons this webhook sets that a later good-standing event may clear. Refunds
+// and lost disputes are final; only an admin can undo those.
+const SUBSCRIPTION_STATUS_REASONS = new Set(['subscription_canceled', 'subscription_unpaid', 'subscription_incomplete_expired']);
+
+// Resolve the license record for a Stripe customer ID, falling back to email when
+// the license store is keyed differently (e.g. the local file store).
+async function findLicenseCustomer(stripeCustomerId, fallbackEmail = '') {
+    if (stripeCustomerId) {
+        const byId = await findCustomerById(stripeCustomerId);
+        if (byId && !byId.deleted) return byId;
+    }
+
+    let email = fallbackEmail;
+    if (!email && stripeCustomerId) {
+        const stripeCustomer = await stripe.customers.retrieve(stripeCustomerId).catch(() => null);
+        email = stripeCustomer && !stripeCustomer.deleted ? stripeCustomer.email : '';
+    }
+    if (!email) return null;
+    const byEmail = await findCustomerByEmail(email);
+    return byEmail && !byEmail.deleted ? byEmail : null;
+}
+
+function getSubscriptionTier(subscription) {
+    const price = subscription?.items?.data?.[0]?.price || {};
+    const catalogPlan = findPlanByPriceId(price.id);
+    if (catalogPlan) return catalogPlan.tier;
+    const tier = cleanText(price.metadata?.license_tier || price.lookup_key || '', 32).toLowerCase();
+    return ['basic', 'pro', 'unlimited'].includes(tier) ? tier : '';
+}
+
+// Apply a status transition unless the license is already in that state for the
+// same reason; `extra` fields (billing references) are written either way.
+async function transitionLicense(customer, status, { reason, event, extra = {} }) {
+    const metadata = customer.metadata || {};
+    if (!metadata.license_key) return null;
+
+    const previous = getLicenseStatus(metadata);
+    if (previous === status && (metadata.license_status_reason || '') === reason) {
+        return Object.keys(extra).length ? licenseStore.update(customer.id, extra) : null;
+    }
+
+    const updated = await licenseStore.update(customer.id, {
+        ...buildLicenseStatusPatch(metadata, status, { reason, source: `${event.type}:${event.id}` }),
+        ...extra,
+    });
+    console.log(`License ${customer.id}: ${previous} -> ${status} (${reason})`);
+    return updated;
+}
+
+async function handleSubscriptionChange(event) {
+    const subscription = event.data.object;
+    const customer = await findLicenseCustomer(subscription.customer);
+    if (!customer) {
+        console.log(`No license found for subscription ${subscription.id} (${event.type})`);
+        return;
+    }
+
+    const metadata = customer.metadata || {};
+    const entitled = event.type !== 'customer.subscription.deleted'
+        && ENTITLED_SUBSCRIPTION_STATUSES.has(subscription.status);
+
+    // A subscription that bought an extra seat only ever affects that seat.
+    const purchase = getPurchaseRole(metadata, [subscription.id]);
+    if (purchase.role) {
+        if (purchase.role === 'seat' && !entitled) {
+            await licenseStore.update(customer.id, buildSeatRemovalPatch(metadata, subscription.id, { reason: 'subscription_canceled' }));
+            console.log(`License ${customer.id}: seat from subscription ${subscription.id} removed`);
+        }
+        return;
+    }
+
+    const extra = { license_subscription_id: subscription.id, license_subscription_status: subscription.status };
+
+    if (event.type === 'customer.subscription.updated') {
+        const catalogPlan = findPlanByPriceId(subscription?.items?.data?.[0]?.price?.id);
+        if (catalogPlan && catalogPlan.slug !== metadata.license_plan_slug) {
+            extra.license_plan_slug = catalogPlan.slug;
+        }
+        const tier = getSubscriptionTier(subscription);
+        if (tier && tier !== getLicenseTier(metadata)) {
+            extra.license_tier = tier;
+            extra.license_tier_changed_at = new Date().toISOString();
+            extra.license_tier_previous = getLicenseTier(metadata);
+            console.log(`License ${customer.id}: tier ${getLicenseTier(metadata)} -> ${tier}`);
+        }
+    }
+
+    if (entitled) {
+        const clearable = SUBSCRIPTION_STATUS_REASONS.has(metadata.license_status_reason || '');
+        if (getLicenseStatus(metadata) !== 'active' && clearable) {
+            await transitionLicense(customer, 'active', { reason: 'subscription_active', event, extra });
+        } else {
+            await licenseStore.update(customer.id, extra);
+        }
+        return;
+    }
+
+    // A trial that ends without paying never credits its referral; one credited
+    // before referrals waited for payment is taken back.
+    const canceledAt = subscription.canceled_at || subscription.ended_at || 0;
+    if (subscription.trial_end && canceledAt && canceledAt <= subscription.trial_end) {
+        if (metadata.license_referral_pending) extra.license_referral_pending = '';
+        await reverseReferralFor(customer, 'trial_canceled');
+    }
+
+    // Don't let a cancellation overwrite a stronger state (e.g. a dispute suspension).
+    if (getLicenseStatus(metadata) === 'suspended') {
+        await licenseStore.update(customer.id, extra);
+        return;
+    }
+    const reason = event.type === 'customer.subscription.deleted' || subscription.status === 'canceled'
+        ? 'subscription_canceled'
+        : `subscription_${subscription.status}`;
+    await transitionLicense(customer, 'inactive', { reason, event, extra });
+}
+
+// The first paid invoice of a license that started free (a trial) credits the
+// referral parked on it at checkout.
+async function handleInvoicePaid(event) {
+    const invoice = event.data.object;
+    if (!((invoice.amount_paid || 0) > 0)) return;
+    const customer = await findLicenseCustomer(stripeId(invoice.customer), invoice.customer_email || '');
+    const referralCode = normalizeReferralCode(customer?.metadata?.license_referral_pending);
+    if (!referralCode) return;
+
+    const referral = await creditReferral({ code: referralCode, referee: customer });
+    if (!referral.credited) {
+        await licenseStore.update(customer.id, { license_referral_pending: '' });
+        console.log(`Referral ${referralCode} on invoice ${invoice.id} not credited: ${referral.reason}`);
+    }
+}
+
+// Take the referrer's reward back when the referee's own purchase is undone.
+async function reverseReferralFor(customer, reason) {
+    if (!customer.metadata?.license_referrer_id) return;
+    try {
+        await reverseReferral({ referee: customer, reason });
+    } catch (err) {
+        console.error(`Referral reversal failed for ${customer.id}:`, err?.message || String(err));
+        if (Sentry) Sentry.captureException(err);
+    }
+}
+
+// Refunds and disputes on a gift checkout act on the gift, never on the buyer's
+// own license: the charge is matched to the gift through its payment intent.
+async function findGiftForCharge(charge) {
+    const paymentIntentId = stripeId(charge?.payment_intent);
+    if (!paymentIntentId) return null;
+    const gift = await findGiftByPaymentIntent(paymentIntentId);
+    if (gift) return gift;
+
+    // Gifts stored before the payment intent was recorded are found through their session.
+    const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 })
+        .catch(() => null);
+    const session = sessions?.data?.[0];
+    return session?.metadata?.gift === 'true' ? findGiftByCheckoutSession(session.id) : null;
+}
+
+// The license a redeemed gift was redeemed onto.
+async function findGiftRecipientLicense(gift) {
+    const metadata = gift.metadata || {};
+    return findLicenseCustomer(metadata.gift_redeemed_by || null, metadata.gift_redeemed_email || '');
+}
+
+function isFullRefund(charge) {
+    return charge.refunded === true || (charge.amount_refunded || 0) >= (charge.amount || 0);
+}
+
+// Which purchase on the license a charge paid for (see getPurchaseRole). Charges
+// on a seat subscription's invoices are matched through the invoice.
+async function findChargePurchase(metadata, charge) {
+    const refs = [stripeId(charge?.payment_intent)];
+    const invoiceId = stripeId(charge?.invoice);
+    if (invoiceId && /(^|,)sub_/.test(`${metadata.license_seat_purchases || ''},${metadata.license_seats_removed || ''},${metadata.license_refused_purchases || ''}`)) {
+        const invoice = await stripe.invoices.retrieve(invoiceId).catch(() => null);
+        refs.push(stripeId(invoice?.subscription));
+    }
+    return getPurchaseRole(metadata, refs);
+}
+
+async function applyRefundToLicense(customer, charge, event) {
+    const metadata = customer.metadata || {};
+    const extra = {
+        license_refunded_charge_id: charge.id,
+        license_refunded_amount: String(charge.amount_refunded || 0),
+        license_refunded_at: new Date().toISOString(),
+    };
+
+    // Refunding an extra seat takes back that seat, not the license.
+    const purchase = await findChargePurchase(metadata, charge);
+    if (purchase.role === 'seat' && isFullRefund(charge)) {
+        await licenseStore.update(customer.id, { ...extra, ...buildSeatRemovalPatch(metadata, purchase.ref, { reason: 'refunded' }) });
+        console.log(`License ${customer.id}: seat from ${purchase.ref} removed (refunded)`);
+        return;
+    }
+    if (purchase.role) {
+        await licenseStore.update(customer.id, extra);
+        return;
+    }
+
+    // Partial refunds (goodwill credits) keep the license working.
+    if (!isFullRefund(charge)) {
+        await licenseStore.update(customer.id, extra);
+        return;
+    }
+    await transitionLicense(customer, 'inactive', { reason: 'refunded', event, extra });
+    await reverseReferralFor(customer, 'refunded');
+}
+
+async function applyDisputeToLicense(customer, dispute, charge, event) {
+    const metadata = customer.metadata || {};
+    const extra = {
+        license_dispute_id: dispute.id,
+        license_dispute_status: dispute.status || '',
+    };
+
+    // A disputed extra seat is taken back, and given back if the dispute is won.
+    const purchase = charge ? await findChargePurchase(metadata, charge) : { role: '' };
+    if (purchase.role) {
+        let patch = extra;
+        if (purchase.role === 'seat' && event.type === 'charge.dispute.created') {
+            patch = { ...extra, ...buildSeatRemovalPatch(metadata, purchase.ref, { reason: 'disputed' }) };
+        } else if (purchase.role === 'removed_seat' && dispute.status === 'won'
+            && String(metadata.license_seats_disputed || '').split(',').includes(purchase.ref)) {
+            patch = { ...extra, ...buildSeatRestorePatch(metadata, purchase.ref) };
         }
+        await licenseStore.update(customer.id, patch);
+        return;
     }
 
-    return { ok: false, error: lastError };
+    if (event.type === 'charge.dispute.created') {
+        await transitionLicense(customer, 'suspended', { reason: 'disputed', event, extra });
+        return;
+    }
+
+    // charge.dispute.closed: won disputes lift the suspension, lost ones end the license.
+    if (metadata.license_status_reason !== 'disputed') {
+        await licenseStore.update(customer.id, extra);
+        return;
+    }
+    if (dispute.status === 'won') {
+        await transitionLicense(customer, 'active', { reason: 'dispute_won', event, extra });
+    } else if (dispute.status === 'lost') {
+        await transitionLicense(customer, 'inactive', { reason: 'dispute_lost', event, extra });
+        await reverseReferralFor(customer, 'dispute_lost');
+    } else {
+        await licenseStore.update(customer.id, extra);
+    }
+}
+
+async function handleChargeRefunded(event) {
+    const charge = event.data.object;
+    const gift = await findGiftForCharge(charge);
+    if (gift) {
+        if (gift.metadata?.gift_status === 'redeemed') {
+            const recipient = await findGiftRecipientLicense(gift);
+            if (!recipient) {
+                console.log(`No license found for refunded gift ${gift.metadata?.gift_code} (charge ${charge.id})`);
+                return;
+            }
+            await applyRefundToLicense(recipient, charge, event);
+        } else if (gift.metadata?.gift_status !== 'void' && isFullRefund(charge)) {
+            await voidGift(gift, { reason: 'refunded', source: `${event.type}:${event.id}` });
+        }
+        return;
+    }
+
+    const customer = await findLicenseCustomer(
+        charge.customer,
+        charge.billing_details?.email || charge.receipt_email || ''
+    );
+    if (!customer) {
+        console.log(`No license found for refunded charge ${charge.id}`);
+        return;
+    }
+    await applyRefundToLicense(customer, charge, event);
+}
+
+async function handleDispute(event) {
+    const dispute = event.data.object;
+    const charge = typeof dispute.charge === 'string'
+        ? await stripe.charges.retrieve(dispute.charge).catch(() => null)
+        : dispute.charge;
+
+    const gift = charge ? await findGiftForCharge(charge) : null;
+    if (gift) {
+        const metadata = gift.metadata || {};
+        const source = `${event.type}:${event.id}`;
+        if (metadata.gift_status === 'redeemed') {
+            const recipient = await findGiftRecipientLicense(gift);
+            if (!recipient) {
+                console.log(`No license found for disputed gift ${metadata.gift_code} (dispute ${dispute.id})`);
+                return;
+            }
+            await applyDisputeToLicense(recipient, dispute, charge, event);
+        } else if (event.type === 'charge.dispute.created') {
+            if (metadata.gift_status !== 'void') await voidGift(gift, { reason: 'disputed', source });
+        } else if (metadata.gift_void_reason === 'disputed') {
+            if (dispute.status === 'won') await restoreGift(gift, { source });
+            else if (dispute.status === 'lost') await voidGift(gift, { reason: 'dispute_lost', source });
+        }
+        return;
+    }
+
+    const customer = await findLicenseCustomer(
+        charge?.customer || null,
+        charge?.billing_details?.email || charge?.receipt_email || ''
+    );
+    if (!customer) {
+        console.log(`No license found for dispute ${dispute.id}`);
+        return;
+    }
+    await applyDisputeToLicense(customer, dispute, charge, event);
 }
 
 module.exports = async function handler(req, res) {
@@ -186,96 +679,41 @@ module.exports = async function handler(req, res) {
         return res.status(400).json({ error: `Webhook Error: ${err.message}` });
     }
 
+    if (_processedEvents.has(event.id)) {
+        return res.status(200).json({ received: true, duplicate: true });
+    }
+
     try {
     switch (event.type) {
         case 'checkout.session.completed': {
-            const session = event.data.object;
-            const customerEmail = session.customer_email || session.customer_details?.email;
-            const licenseKey = generateLicenseKey();
-            const plan = session.mode === 'subscription' ? 'subscription' : 'lifetime';
-
-            console.log('=== NEW LICENSE KEY GENERATED ===');
-            console.log(`Email: ${customerEmail}`);
-            console.log(`License: ${licenseKey}`);
-            console.log(`Session: ${session.id}`);
-            console.log(`Mode: ${session.mode}`);
-            console.log(`Amount: ${session.amount_total / 100} ${session.currency?.toUpperCase()}`);
-            console.log('================================');
-
-            // Store the license key on the Stripe customer
-            // For $0 checkouts, Stripe may not auto-create a customer — create one if needed
-            let customerId = session.customer;
-            try {
-                if (!customerId && customerEmail) {
-                    const existingByEmail = await stripe.customers.list({ email: customerEmail, limit: 1 });
-                    if (existingByEmail.data && existingByEmail.data.length > 0) {
-                        customerId = existingByEmail.data[0].id;
-                    }
-                }
-
-                if (!customerId && customerEmail) {
-                    const customer = await stripe.customers.create({
-                        email: customerEmail,
-                        metadata: {
-                            license_key: licenseKey,
-                            license_created: new Date().toISOString(),
-                            plan: plan,
-                            license_hardware_id: '',
-                            license_hardware_bound_at: '',
-                            license_last_validation_at: '',
-                            license_last_app_version: '',
-                            license_reset_count: '0',
-                            license_last_reset_at: '',
-                        },
-                    });
-                    customerId = customer.id;
-                    console.log(`Created new customer ${customerId} for ${customerEmail}`);
-                } else if (customerId) {
-                    const existingCustomer = await stripe.customers.retrieve(customerId);
-                    const existingMetadata = existingCustomer?.metadata || {};
-                    const nowIso = new Date().toISOString();
-                    const fromWaitlist = existingMetadata.waitlist === 'true' || !!existingMetadata.waitlist_status;
-
-                    await stripe.customers.update(customerId, {
-                        metadata: {
-                            ...existingMetadata,
-                            license_key: licenseKey,
-                            license_created: nowIso,
-                            plan: plan,
-                            license_hardware_id: '',
-                            license_hardware_bound_at: '',
-                            license_last_validation_at: '',
-                            license_last_app_version: '',
-                            license_reset_count: existingMetadata.license_reset_count || '0',
-                            license_last_reset_at: existingMetadata.license_last_reset_at || '',
-                            ...(fromWaitlist ? {
-                                waitlist: 'true',
-                                waitlist_status: 'converted',
-                                waitlist_converted_at: nowIso,
-                                waitlist_updated_at: nowIso,
-                            } : {}),
-                        },
-                    });
-                }
-            } catch (err) {
-                console.error('Failed to store license on customer:', err.message);
-            }
+            await handleCheckoutCompleted(event);
+            break;
+        }
 
-            // Email the license key to the customer (with retry)
-            if (customerEmail) {
-                const emailResult = await sendLicenseEmail(customerEmail, licenseKey, plan, customerId);
-                if (!emailResult.ok) {
-                    console.error(`CRITICAL: License email failed for ${customerEmail} (key=${licenseKey}, customer=${customerId})`);
-                }
-            }
+        case 'checkout.session.expired': {
+            await handleCheckoutExpired(event);
+            break;
+        }
+
+        case 'customer.subscription.deleted':
+        case 'customer.subscription.updated': {
+            await handleSubscriptionChange(event);
+            break;
+        }
+
+        case 'invoice.paid': {
+            await handleInvoicePaid(event);
+            break;
+        }
 
+        case 'charge.refunded': {
+            await handleChargeRefunded(event);
             break;
         }
 
-        case 'customer.subscription.deleted': {
-            const subscription = event.data.object;
-            console.log(`Subscription cancelled: ${subscription.id}`);
-            // Could revoke the license here by updating customer metadata
+        case 'charge.dispute.created':
+        case 'charge.dispute.closed': {
+            await handleDispute(event);
             break;
         }
 
@@ -283,6 +721,7 @@ module.exports = async function handler(req, res) {
             break;
     }
 
+    rememberEvent(event.id);
     return res.status(200).json({ received: true });
     } catch (err) {
         console.error('Webhook handler error:', err?.stack || err?.message || String(err));